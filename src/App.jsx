@@ -1,13 +1,37 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Chart from './components/Chart';
 import TokenList from './components/TokenList';
 import AddToken from './components/AddToken';
-import { getAllTokens } from './data/tokens';
-import { fetchAllTokensMarketCap, fetchTokenMarketCap, daysToApiParam, clearCache } from './api/coingecko';
-import { getSavedTokens, saveTokens, mergeTokenPreferences } from './utils/storage';
+import Settings from './components/Settings';
+import Diagnostics from './components/Diagnostics';
+import { getAllTokens, BENCHMARK_TOKENS } from './data/tokens';
+import { getRangeDays, rangeCovers } from './data/mockData';
+import { fetchAllTokensMarketCap, fetchTokenMarketCap, fetchWindowMarketCap, getStoredMarketCap, daysToApiParam, clearCache } from './api/coingecko';
+import { getZoomResolution } from './api/resolution';
+import { PRIORITY, isAbortError } from './api/scheduler';
+import { getSavedTokens, saveTokens, mergeTokenPreferences, getSettings, saveSettings, getApiKeys, saveApiKeys } from './utils/storage';
 import { subscribe as subscribeRateLimit, getRateLimitState } from './api/rateLimitState';
+import { subscribe as subscribeInflight, getInflightStats } from './api/inflight';
+import { pollLiveMarketCaps, MAX_LIVE_POINTS } from './api/live';
 import { mergeTokenVariants, getDisplayTokens } from './utils/tokenMerger';
 
+// Copy a fetch result's data and provenance onto a token
+function applyResult(token, result) {
+  if (result.data && result.data.length > 0) {
+    return {
+      ...token,
+      data: result.data,
+      source: result.source,
+      sources: result.sources,
+      pools: result.pools,
+      estimated: result.estimated,
+      providersTried: result.providersTried,
+      error: false
+    };
+  }
+  return { ...token, providersTried: result.providersTried, errorKind: result.errorKind };
+}
+
 export default function App() {
   const [tokens, setTokens] = useState(() => {
     const defaultTokens = getAllTokens();
@@ -20,11 +44,34 @@ export default function App() {
 
   const [selectedRange, setSelectedRange] = useState(30);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [settings, setSettings] = useState(getSettings);
+  const [apiKeys, setApiKeys] = useState(getApiKeys);
   const [isLoading, setIsLoading] = useState(true);
   const [loadingProgress, setLoadingProgress] = useState({ current: 0, total: 0, token: '' });
   const [error, setError] = useState(null);
   const [lastFetchedRange, setLastFetchedRange] = useState(null);
   const [rateLimitState, setRateLimitState] = useState(getRateLimitState());
+  const [inflightStats, setInflightStats] = useState(getInflightStats());
+  // Symbols of single-token fetches still in progress, keyed by token ID
+  const [pendingSingles, setPendingSingles] = useState({});
+  const [isLive, setIsLive] = useState(false);
+  // Points appended by live mode, keyed by token ID - dropped once a fetch
+  // brings the token's history up to date, and on a range change
+  const [livePoints, setLivePoints] = useState({});
+  // Finer candles for the zoomed-in window, keyed by token ID
+  const [zoomSeries, setZoomSeries] = useState({});
+  // Ratio mode benchmark: a token ID or a built-in benchmark ID (null = off),
+  // and the fetched built-in benchmark series
+  const [benchmarkId, setBenchmarkId] = useState(null);
+  const [benchmarkResults, setBenchmarkResults] = useState({});
+
+  // Abort controllers for the current bulk fetch and per-token fetches
+  const bulkAbortRef = useRef(null);
+  const singleAbortRef = useRef(new Map());
+  // Abort controller and window of the current zoom fetch
+  const zoomAbortRef = useRef(null);
+  const zoomRequestRef = useRef(null);
 
   // Subscribe to rate limit state changes
   useEffect(() => {
@@ -32,6 +79,12 @@ export default function App() {
     return unsubscribe;
   }, []);
 
+  // Subscribe to in-flight dedup stats (debug counter in the status line)
+  useEffect(() => {
+    const unsubscribe = subscribeInflight(setInflightStats);
+    return unsubscribe;
+  }, []);
+
   // Merge token variants and get display tokens
   const mergedTokens = useMemo(() => mergeTokenVariants(tokens), [tokens]);
   const displayTokens = useMemo(() => getDisplayTokens(mergedTokens), [mergedTokens]);
@@ -41,50 +94,234 @@ export default function App() {
     return displayTokens.filter(t => t.enabled);
   }, [displayTokens]);
 
+  // Live polling reads the current chart tokens without restarting the timer
+  const chartTokensRef = useRef(chartTokens);
+  useEffect(() => {
+    chartTokensRef.current = chartTokens;
+  }, [chartTokens]);
+
+  // Live mode: poll DexScreener for the charted tokens every few seconds
+  // A poll that is still running when the timer fires is not doubled up
+  useEffect(() => {
+    if (!isLive) return;
+
+    const controller = new AbortController();
+    let isPolling = false;
+
+    const poll = async () => {
+      if (isPolling) return;
+      isPolling = true;
+      try {
+        const points = await pollLiveMarketCaps(chartTokensRef.current, { signal: controller.signal });
+        setLivePoints(prev => {
+          const next = { ...prev };
+          Object.entries(points).forEach(([tokenId, point]) => {
+            next[tokenId] = [...(prev[tokenId] || []), point].slice(-MAX_LIVE_POINTS);
+          });
+          return next;
+        });
+      } catch (err) {
+        if (!isAbortError(err)) {
+          console.error('Live update failed:', err);
+        }
+      } finally {
+        isPolling = false;
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, settings.liveIntervalSec * 1000);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [isLive, settings.liveIntervalSec]);
+
+  // Built-in benchmarks go through the provider chain like any token
+  useEffect(() => {
+    const builtIn = BENCHMARK_TOKENS.find(t => t.id === benchmarkId);
+    if (!builtIn) return;
+
+    const controller = new AbortController();
+    fetchTokenMarketCap(builtIn, daysToApiParam(getRangeDays(selectedRange)), {
+      priority: PRIORITY.USER,
+      signal: controller.signal
+    }).then(result => {
+      if (!controller.signal.aborted) {
+        setBenchmarkResults(prev => ({ ...prev, [builtIn.id]: result }));
+      }
+    }).catch(err => {
+      if (!isAbortError(err)) {
+        console.error(`Error fetching benchmark ${builtIn.symbol}:`, err);
+      }
+    });
+    return () => controller.abort();
+  }, [benchmarkId, selectedRange]);
+
+  const benchmark = useMemo(() => {
+    if (!benchmarkId) return null;
+    return benchmarkResults[benchmarkId] || chartTokens.find(t => t.id === benchmarkId) || null;
+  }, [benchmarkId, benchmarkResults, chartTokens]);
+
+  // Zooming in past the range's resolution fetches finer candles for the
+  // visible window (padded so small pans stay inside it); zooming back out
+  // returns to the range's own series
+  const handleZoom = useCallback(({ from, to, tokenIds }) => {
+    const apiDays = daysToApiParam(getRangeDays(selectedRange));
+    const resolution = getZoomResolution(apiDays, to - from);
+
+    if (!resolution) {
+      zoomAbortRef.current?.abort();
+      zoomAbortRef.current = null;
+      zoomRequestRef.current = null;
+      setZoomSeries(prev => (Object.keys(prev).length > 0 ? {} : prev));
+      return;
+    }
+
+    const request = zoomRequestRef.current;
+    if (
+      request &&
+      request.resolution.id === resolution.id &&
+      request.from <= from && request.to >= to &&
+      tokenIds.every(id => request.tokenIds.includes(id))
+    ) {
+      return;
+    }
+
+    zoomAbortRef.current?.abort();
+    const controller = new AbortController();
+    zoomAbortRef.current = controller;
+
+    const pad = (to - from) / 2;
+    const window = { from: from - pad, to: to + pad };
+    zoomRequestRef.current = { ...window, resolution, tokenIds };
+
+    const zoomTokens = chartTokensRef.current.filter(t => tokenIds.includes(t.id));
+    Promise.all(zoomTokens.map(token =>
+      fetchWindowMarketCap(token, apiDays, window, { priority: PRIORITY.USER, signal: controller.signal })
+    )).then(results => {
+      if (controller.signal.aborted) return;
+      const next = {};
+      results.forEach((result, i) => {
+        if (result?.data?.length > 0) next[zoomTokens[i].id] = result;
+      });
+      setZoomSeries(next);
+    }).catch(err => {
+      if (!isAbortError(err)) {
+        console.error('Zoom fetch failed:', err);
+      }
+    });
+  }, [selectedRange]);
+
+  // A new range starts zoomed out
+  useEffect(() => {
+    zoomAbortRef.current?.abort();
+    zoomAbortRef.current = null;
+    zoomRequestRef.current = null;
+    setZoomSeries(prev => (Object.keys(prev).length > 0 ? {} : prev));
+  }, [selectedRange]);
+
+  // Drop the live points of tokens whose fetched history now covers them
+  const clearLivePoints = useCallback((tokenIds) => {
+    setLivePoints(prev => {
+      if (!tokenIds.some(id => prev[id])) return prev;
+      const next = { ...prev };
+      tokenIds.forEach(id => delete next[id]);
+      return next;
+    });
+  }, []);
+
   // Fetch market cap data for enabled tokens only
-  const fetchData = useCallback(async (days, onlyEnabled = true) => {
+  // Starting a new bulk fetch cancels the previous one; late results are ignored
+  const fetchData = useCallback(async (range, onlyEnabled = true) => {
+    bulkAbortRef.current?.abort();
+    const controller = new AbortController();
+    bulkAbortRef.current = controller;
+
     setIsLoading(true);
     setError(null);
 
     try {
-      const apiDays = daysToApiParam(days);
+      const apiDays = daysToApiParam(getRangeDays(range));
       // Only fetch enabled tokens that need data
       const tokensToFetch = tokens.filter(t => {
-        const needsData = !t.data || t.data.length === 0 || lastFetchedRange !== days;
+        const needsData = !t.data || t.data.length === 0 || lastFetchedRange !== range;
         return onlyEnabled ? (t.enabled && needsData) : needsData;
       });
 
       if (tokensToFetch.length === 0) {
-        setIsLoading(false);
         return;
       }
 
+      setLoadingProgress({ current: 0, total: tokensToFetch.length, token: '' });
+
       const results = await fetchAllTokensMarketCap(
         tokensToFetch,
         apiDays,
-        (progress) => setLoadingProgress(progress)
+        (progress) => {
+          if (!controller.signal.aborted) setLoadingProgress(progress);
+        },
+        { signal: controller.signal }
       );
 
+      if (controller.signal.aborted) return;
+
       // Merge results with existing tokens
       setTokens(prev => {
         const resultMap = new Map(results.map(r => [r.id, r]));
         return prev.map(token => {
           const result = resultMap.get(token.id);
-          if (result && result.data && result.data.length > 0) {
-            return { ...token, data: result.data, error: false };
-          }
-          return token;
+          return result ? applyResult(token, result) : token;
         });
       });
 
-      setLastFetchedRange(days);
+      clearLivePoints(results.filter(r => r?.data?.length > 0).map(r => r.id));
+      setLastFetchedRange(range);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error('Error fetching data:', err);
       setError('Failed to fetch data. Please try again.');
     } finally {
-      setIsLoading(false);
+      // A superseding fetch owns the loading state now
+      if (bulkAbortRef.current === controller) {
+        bulkAbortRef.current = null;
+        setIsLoading(false);
+      }
     }
-  }, [tokens, lastFetchedRange]);
+  }, [tokens, lastFetchedRange, clearLivePoints]);
+
+  // Cancel single-token fetches (all, or just the given token IDs)
+  const cancelSingleFetches = useCallback((tokenIds = null) => {
+    const ids = tokenIds || [...singleAbortRef.current.keys()];
+    ids.forEach(id => {
+      singleAbortRef.current.get(id)?.abort();
+      singleAbortRef.current.delete(id);
+    });
+    setPendingSingles(prev => {
+      const next = { ...prev };
+      ids.forEach(id => delete next[id]);
+      return next;
+    });
+  }, []);
+
+  // Render stored series from disk right away on load; fetchData tops them up
+  useEffect(() => {
+    const apiDays = daysToApiParam(getRangeDays(selectedRange));
+    const enabled = tokens.filter(t => t.enabled);
+
+    Promise.all(enabled.map(t => getStoredMarketCap(t, apiDays))).then(results => {
+      const storedMap = new Map(results.filter(Boolean).map(r => [r.id, r]));
+      if (storedMap.size === 0) return;
+
+      // Only fill tokens the network hasn't already answered for
+      setTokens(prev =>
+        prev.map(t => {
+          const stored = storedMap.get(t.id);
+          return stored && !t.data?.length ? applyResult(t, stored) : t;
+        })
+      );
+    });
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Fetch data on initial load and when range changes significantly
   useEffect(() => {
@@ -92,7 +329,7 @@ export default function App() {
     const enabledTokensNeedData = tokens.some(t =>
       t.enabled && (!t.data || t.data.length === 0)
     );
-    const rangeIncreased = lastFetchedRange !== null && selectedRange > lastFetchedRange;
+    const rangeIncreased = lastFetchedRange !== null && !rangeCovers(lastFetchedRange, selectedRange);
 
     if (enabledTokensNeedData || rangeIncreased || lastFetchedRange === null) {
       fetchData(selectedRange);
@@ -106,28 +343,38 @@ export default function App() {
 
   // Fetch data for a single token on-demand
   const fetchSingleToken = useCallback(async (token) => {
-    setIsLoading(true);
-    setLoadingProgress({ current: 1, total: 1, token: token.symbol });
+    singleAbortRef.current.get(token.id)?.abort();
+    const controller = new AbortController();
+    singleAbortRef.current.set(token.id, controller);
+    setPendingSingles(prev => ({ ...prev, [token.id]: token.symbol }));
 
     try {
-      const apiDays = daysToApiParam(selectedRange);
-      const result = await fetchTokenMarketCap(token, apiDays);
+      const apiDays = daysToApiParam(getRangeDays(selectedRange));
+      const result = await fetchTokenMarketCap(token, apiDays, {
+        priority: PRIORITY.USER,
+        signal: controller.signal
+      });
 
-      if (result && result.data && result.data.length > 0) {
+      if (result && !controller.signal.aborted) {
         setTokens(prev =>
-          prev.map(t =>
-            t.id === token.id
-              ? { ...t, data: result.data, error: false }
-              : t
-          )
+          prev.map(t => (t.id === token.id ? applyResult(t, result) : t))
         );
+        if (result.data?.length > 0) clearLivePoints([token.id]);
       }
     } catch (err) {
-      console.error(`Error fetching ${token.symbol}:`, err);
+      if (!isAbortError(err)) {
+        console.error(`Error fetching ${token.symbol}:`, err);
+      }
     } finally {
-      setIsLoading(false);
+      if (singleAbortRef.current.get(token.id) === controller) {
+        singleAbortRef.current.delete(token.id);
+        setPendingSingles(prev => {
+          const { [token.id]: _done, ...rest } = prev;
+          return rest;
+        });
+      }
     }
-  }, [selectedRange]);
+  }, [selectedRange, clearLivePoints]);
 
   const handleToggleToken = (tokenId) => {
     // Find the token in displayTokens (might be merged)
@@ -149,8 +396,10 @@ export default function App() {
       )
     );
 
-    // Fetch data for all variants if enabling
-    if (isEnabling) {
+    // Fetch data for all variants if enabling, stop fetching them if disabling
+    if (!isEnabling) {
+      cancelSingleFetches(variantIds);
+    } else {
       variantIds.forEach(id => {
         const token = tokens.find(t => t.id === id);
         if (token && (!token.data || token.data.length === 0)) {
@@ -174,17 +423,37 @@ export default function App() {
     fetchData(selectedRange);
   };
 
-  const handleRangeChange = (days) => {
-    setSelectedRange(days);
+  // Settings changes apply on the next fetch
+  const handleSettingsChange = (newSettings) => {
+    saveSettings(newSettings);
+    setSettings(getSettings());
+    clearCache();
+  };
+
+  // Keep the typed value in state; storage drops empty keys
+  const handleApiKeysChange = (newKeys) => {
+    saveApiKeys(newKeys);
+    setApiKeys(newKeys);
+    clearCache();
+  };
+
+  const handleRangeChange = (range) => {
+    setSelectedRange(range);
+    // Live points were appended to the previous range's history; set in the
+    // same render so the chart never draws them on the new range
+    setLivePoints({});
+    // Single-token fetches were for the previous range
+    cancelSingleFetches();
     // If new range requires more data, fetch it
-    if (days === 'max' || (lastFetchedRange !== 'max' && days > lastFetchedRange)) {
-      fetchData(days);
+    if (!rangeCovers(lastFetchedRange, range)) {
+      fetchData(range);
     }
   };
 
   // Count tokens with data (use display tokens for accurate count)
   const tokensWithData = displayTokens.filter(t => t.data && t.data.length > 0).length;
   const enabledCount = displayTokens.filter(t => t.enabled).length;
+  const pendingSymbols = [...new Set(Object.values(pendingSingles))];
 
   return (
     <div className="app">
@@ -193,6 +462,15 @@ export default function App() {
           <img src={`${import.meta.env.BASE_URL}logo.png`} alt="Jungle Bay Island" className="header-logo" />
           <h1>Jungle Bay Island</h1>
         </div>
+        <div className="header-actions">
+          <button
+            className="btn-small btn-settings"
+            onClick={() => setIsSettingsOpen(true)}
+            title="Settings"
+          >
+            ⚙
+          </button>
+        </div>
       </header>
 
       <main className="main">
@@ -209,16 +487,21 @@ export default function App() {
           </div>
         )}
 
-        {/* Loading indicator */}
-        {isLoading && !rateLimitState.isWaiting && (
+        {/* Loading indicator - bulk progress, or the single tokens being fetched */}
+        {(isLoading || pendingSymbols.length > 0) && !rateLimitState.isWaiting && (
           <div className="loading-bar">
             <div className="loading-progress">
-              Loading {loadingProgress.token}... ({loadingProgress.current}/{loadingProgress.total})
+              {isLoading
+                ? `Loading ${loadingProgress.token}... (${loadingProgress.current}/${loadingProgress.total})`
+                : `Loading ${pendingSymbols.join(', ')}...`}
+              {rateLimitState.totalQueued > 0 && ` · ${rateLimitState.totalQueued} requests queued`}
             </div>
-            <div
-              className="loading-fill"
-              style={{ width: `${(loadingProgress.current / loadingProgress.total) * 100}%` }}
-            />
+            {isLoading && (
+              <div
+                className="loading-fill"
+                style={{ width: `${loadingProgress.total ? (loadingProgress.current / loadingProgress.total) * 100 : 0}%` }}
+              />
+            )}
           </div>
         )}
 
@@ -235,13 +518,22 @@ export default function App() {
           tokens={displayTokens}
           selectedRange={selectedRange}
           onRangeChange={handleRangeChange}
+          isLive={isLive}
+          onLiveToggle={() => setIsLive(live => !live)}
+          livePoints={livePoints}
+          zoomSeries={zoomSeries}
+          onZoom={handleZoom}
+          benchmarkId={benchmarkId}
+          benchmark={benchmark}
+          onBenchmarkChange={setBenchmarkId}
         />
 
         {/* Status */}
         <div className="data-status">
           {tokensWithData}/{displayTokens.length} tokens loaded |
           {enabledCount} displayed
-          {isLoading && ' | Fetching data...'}
+          {(isLoading || pendingSymbols.length > 0) && ' | Fetching data...'}
+          {inflightStats.saved > 0 && ` | ${inflightStats.saved} duplicate calls saved`}
         </div>
 
         {/* Token list */}
@@ -250,6 +542,13 @@ export default function App() {
           onToggle={handleToggleToken}
           onRemove={handleRemoveToken}
         />
+
+        {/* Per-provider request stats, and why tokens have no data */}
+        <Diagnostics
+          providerStats={rateLimitState.providers}
+          queueDepth={rateLimitState.queueDepth}
+          tokens={displayTokens}
+        />
       </main>
 
       <footer className="footer">
@@ -262,6 +561,16 @@ export default function App() {
         onAdd={handleAddToken}
         existingTokenIds={tokens.map(t => t.id)}
       />
+
+      <Settings
+        isOpen={isSettingsOpen}
+        onClose={() => setIsSettingsOpen(false)}
+        settings={settings}
+        onChange={handleSettingsChange}
+        tokens={tokens}
+        apiKeys={apiKeys}
+        onApiKeysChange={handleApiKeysChange}
+      />
     </div>
   );
 }
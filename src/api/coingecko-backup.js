@@ -1,10 +1,16 @@
 // CoinGecko API service (backup)
 // Free tier: No API key required, 10-30 calls/min
 // Historical market cap data directly available
-// Note: Uses coin ID search, not contract addresses - best for major coins
+// Coins are looked up by contract address (or a known coin ID, e.g. for
+// benchmarks) - never by symbol, which many small tokens share
 // Docs: https://www.coingecko.com/en/api/documentation
 
-import { startRateLimitWait } from './rateLimitState';
+import { registerProvider } from './providers';
+import { getChainsForProvider, getNetworkId } from '../data/chains';
+import { isAbortError } from './scheduler';
+import { providerFetch, isUnavailableError } from './http';
+import { getBaseUrl } from './endpoints';
+import { getResolution, DAY } from './resolution';
 
 const BASE_URL = 'https://api.coingecko.com/api/v3';
 
@@ -12,10 +18,6 @@ const BASE_URL = 'https://api.coingecko.com/api/v3';
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// Rate limiting - CoinGecko free tier is ~10-30 calls/min
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 3000; // 3 seconds between requests
-
 function getCached(key) {
   const cached = cache.get(key);
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
@@ -28,95 +30,39 @@ function setCache(key, data) {
   cache.set(key, { data, timestamp: Date.now() });
 }
 
-async function rateLimitedFetch(url, retryCount = 0) {
-  const MAX_RETRIES = 2;
-  const RATE_LIMIT_WAIT = 60; // seconds
-
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve =>
-      setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest)
-    );
-  }
-
-  lastRequestTime = Date.now();
-
-  try {
-    const response = await fetch(url, {
-      headers: { 'Accept': 'application/json' }
-    });
-
-    if (response.status === 429) {
-      if (retryCount >= MAX_RETRIES) {
-        console.warn('CoinGecko: Max retries reached after rate limiting');
-        return null;
-      }
-
-      console.warn(`CoinGecko rate limited, waiting ${RATE_LIMIT_WAIT}s... (retry ${retryCount + 1}/${MAX_RETRIES})`);
-      startRateLimitWait('CoinGecko', RATE_LIMIT_WAIT);
-      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_WAIT * 1000));
-      return rateLimitedFetch(url, retryCount + 1);
-    }
-
-    return response;
-  } catch (error) {
-    console.error('CoinGecko fetch error:', error);
-    return null;
-  }
-}
-
 /**
- * Search for a coin by symbol
- * Returns the best matching coin ID
+ * Look up the coin for a token contract
+ * @param {string} platform - Chain ID (token.platform)
+ * @param {string} contract - Token contract address
+ * @param {Object} options - Scheduler options ({ priority, signal })
+ * @returns {Object|null} - Coin ({ id, symbol, name, platforms... }), null
+ *   if CoinGecko has no coin for the contract
  */
-export async function searchCoin(symbol, name) {
-  const cacheKey = `coingecko_search_${symbol}`;
+export async function getCoinByContract(platform, contract, options = {}) {
+  const network = getNetworkId(platform, 'coingecko');
+  if (!network || !contract) return null;
+
+  const cacheKey = `coingecko_contract_${network}_${contract.toLowerCase()}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/search?query=${encodeURIComponent(symbol)}`;
-    const response = await rateLimitedFetch(url);
+    const url = `${getBaseUrl('coingecko')}/coins/${network}/contract/${contract}`;
+    const response = await providerFetch('coingecko', url, options);
 
-    if (!response || !response.ok) {
-      console.warn(`CoinGecko: Search failed for ${symbol}`);
+    if (!response.ok) {
+      console.warn(`CoinGecko: No coin for contract ${contract} on ${network}`);
       return null;
     }
 
     const data = await response.json();
+    if (!data?.id) return null;
 
-    if (!data?.coins || data.coins.length === 0) {
-      return null;
-    }
-
-    // Find exact symbol match first
-    const coins = data.coins;
-    let bestMatch = coins.find(c =>
-      c.symbol.toLowerCase() === symbol.toLowerCase()
-    );
-
-    // If no exact symbol match, try name match
-    if (!bestMatch && name) {
-      bestMatch = coins.find(c =>
-        c.name.toLowerCase() === name.toLowerCase()
-      );
-    }
-
-    // Fall back to first result if it's reasonably close
-    if (!bestMatch && coins.length > 0) {
-      if (coins[0].symbol.toLowerCase().startsWith(symbol.toLowerCase().slice(0, 2))) {
-        bestMatch = coins[0];
-      }
-    }
-
-    if (bestMatch) {
-      setCache(cacheKey, bestMatch);
-    }
-    return bestMatch;
+    setCache(cacheKey, data);
+    return data;
   } catch (error) {
-    console.error(`CoinGecko search error:`, error);
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
+    console.error(`CoinGecko contract lookup error:`, error);
     return null;
   }
 }
@@ -125,18 +71,21 @@ export async function searchCoin(symbol, name) {
  * Get historical market chart data for a coin
  * Returns prices and market_caps arrays
  * @param {string} coinId - CoinGecko coin ID (e.g., 'bitcoin')
- * @param {number} days - Number of days of history to fetch
+ * @param {number|string} days - Number of days of history to fetch, or 'max'
+ * @param {string} interval - Optional 'daily' to force daily granularity
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function getMarketChart(coinId, days = 30) {
-  const cacheKey = `coingecko_chart_${coinId}_${days}`;
+export async function getMarketChart(coinId, days = 30, interval = null, options = {}) {
+  const cacheKey = `coingecko_chart_${coinId}_${days}_${interval}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/coins/${coinId}/market_chart?vs_currency=usd&days=${days}`;
-    const response = await rateLimitedFetch(url);
+    const intervalParam = interval ? `&interval=${interval}` : '';
+    const url = `${getBaseUrl('coingecko')}/coins/${coinId}/market_chart?vs_currency=usd&days=${days}${intervalParam}`;
+    const response = await providerFetch('coingecko', url, options);
 
-    if (!response || !response.ok) {
+    if (!response.ok) {
       console.warn(`CoinGecko: No market chart for ${coinId}`);
       return null;
     }
@@ -148,6 +97,7 @@ export async function getMarketChart(coinId, days = 30) {
     }
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`CoinGecko market chart error:`, error);
     return null;
   }
@@ -156,17 +106,18 @@ export async function getMarketChart(coinId, days = 30) {
 /**
  * Get current coin data
  * @param {string} coinId - CoinGecko coin ID
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function getCoinData(coinId) {
+export async function getCoinData(coinId, options = {}) {
   const cacheKey = `coingecko_coin_${coinId}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`;
-    const response = await rateLimitedFetch(url);
+    const url = `${getBaseUrl('coingecko')}/coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`;
+    const response = await providerFetch('coingecko', url, options);
 
-    if (!response || !response.ok) {
+    if (!response.ok) {
       return null;
     }
 
@@ -176,6 +127,7 @@ export async function getCoinData(coinId) {
     }
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`CoinGecko coin data error:`, error);
     return null;
   }
@@ -183,12 +135,22 @@ export async function getCoinData(coinId) {
 
 /**
  * Fetch market cap data for a token from CoinGecko
- * Note: This works best for major coins listed on CoinGecko
+ * Tokens need a contract CoinGecko lists, or a `coinGeckoId`
+ * @param {Object} options
+ * @param {number} options.since - Last stored point time (ms) for incremental fetches
+ * @param {Object} options.previous - Stored meta from the last fetch (coin ID)
+ * @param {number} options.priority - Scheduler priority
+ * @param {AbortSignal} options.signal - Cancels pending requests
  */
-export async function fetchCoinGeckoBackupMarketCap(token, days = 30) {
+export async function fetchCoinGeckoBackupMarketCap(token, days = 30, options = {}) {
+  const { since, previous } = options;
+
   try {
-    // Step 1: Search for the coin by symbol
-    const coin = await searchCoin(token.symbol, token.name);
+    // Step 1: Find the coin by contract (skipped if we already know the ID)
+    const knownId = previous?.coinGeckoId || token.coinGeckoId;
+    const coin = knownId
+      ? { id: knownId }
+      : await getCoinByContract(token.platform, token.contract, options);
 
     if (!coin) {
       console.warn(`CoinGecko backup: Coin not found for ${token.symbol}`);
@@ -196,7 +158,15 @@ export async function fetchCoinGeckoBackupMarketCap(token, days = 30) {
     }
 
     // Step 2: Get historical market chart data
-    const chartData = await getMarketChart(coin.id, days);
+    // Top-ups request at least 2 days so CoinGecko keeps hourly granularity
+    const resolution = getResolution(days);
+    const interval = resolution.id === '1d' ? 'daily' : null;
+    let fetchDays = days;
+    if (since) {
+      const gapDays = Math.max(2, Math.ceil((Date.now() - since) / DAY));
+      fetchDays = days === 'max' ? gapDays : Math.min(days, gapDays);
+    }
+    const chartData = await getMarketChart(coin.id, fetchDays, interval, options);
 
     if (!chartData || !chartData.market_caps || chartData.market_caps.length === 0) {
       console.warn(`CoinGecko backup: No market data for ${token.symbol}`);
@@ -228,11 +198,13 @@ export async function fetchCoinGeckoBackupMarketCap(token, days = 30) {
       data,
       currentMarketCap,
       currentPrice,
+      estimated: false,
       coinGeckoId: coin.id,
       source: 'coingecko',
       lastUpdated: Date.now()
     };
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`CoinGecko backup error for ${token.symbol}:`, error);
     return null;
   }
@@ -244,3 +216,19 @@ export async function fetchCoinGeckoBackupMarketCap(token, days = 30) {
 export function clearCache() {
   cache.clear();
 }
+
+registerProvider({
+  id: 'coingecko',
+  name: 'CoinGecko',
+  baseUrl: BASE_URL,
+  capabilities: {
+    history: true,
+    // Looks coins up by contract on these chains
+    chains: getChainsForProvider('coingecko'),
+    maxDays: null,
+    rateLimit: { requestsPerMinute: 20, burst: 2 }
+  },
+  enabledByDefault: true,
+  fetchMarketCap: fetchCoinGeckoBackupMarketCap,
+  clearCache
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { fetchCoinGeckoBackupMarketCap, clearCache } from './coingecko-backup';
+import { resetReplay } from './transport';
+import { useFixtureClock, settle, NOW, DAY, TOKENS } from '../test/fixtures';
+
+describe('fetchCoinGeckoBackupMarketCap', () => {
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+  beforeEach(() => {
+    vi.setSystemTime(NOW);
+    clearCache();
+    resetReplay();
+  });
+
+  it('finds the coin by contract and reads its market caps', async () => {
+    const result = await settle(fetchCoinGeckoBackupMarketCap(TOKENS.stitch, 30));
+
+    expect(result).toMatchObject({ source: 'coingecko', coinGeckoId: 'stitch-coin', estimated: false });
+    expect(result.data).toHaveLength(30);
+    expect(result.data[0]).toEqual({ x: NOW - 30 * DAY + 123, y: 800000 });
+    expect(result.currentMarketCap).toBe(974000);
+    expect(result.currentPrice).toBeCloseTo(0.00974);
+  });
+
+  it('skips the contract lookup when the coin ID is known', async () => {
+    const token = { ...TOKENS.gone, coinGeckoId: 'stitch-coin' };
+    const result = await settle(fetchCoinGeckoBackupMarketCap(token, 30));
+
+    expect(result.coinGeckoId).toBe('stitch-coin');
+    expect(result.data).toHaveLength(30);
+  });
+
+  it('returns null when CoinGecko has no coin for the contract', async () => {
+    expect(await settle(fetchCoinGeckoBackupMarketCap(TOKENS.gone, 30))).toBeNull();
+  });
+
+  it('does not match a coin by symbol', async () => {
+    const token = { ...TOKENS.jbm, symbol: 'STCH', name: 'Stitched' };
+    expect(await settle(fetchCoinGeckoBackupMarketCap(token, 30))).toBeNull();
+  });
+
+  it('reports a refused request as unavailable, not as missing data', async () => {
+    const token = { ...TOKENS.gone, coinGeckoId: 'paid-only' };
+
+    await expect(settle(fetchCoinGeckoBackupMarketCap(token, 'max')))
+      .rejects.toMatchObject({ name: 'ProviderUnavailable', reason: 'HTTP 401' });
+  });
+});
@@ -1,28 +1,29 @@
-// Main API service - token data fetching with fallback chain
-// 1. GeckoTerminal: 30 calls/min, 6 months historical OHLCV (primary)
+// Main API service - token data fetching through the provider registry
+// Each provider module registers itself (see providers.js); the chain order
+// is configurable globally or per token from the settings panel.
+// Default chain:
+// 1. GeckoTerminal: 30 calls/min, historical OHLCV, paged for "max" (primary)
 // 2. CoinGecko: 10-30 calls/min, historical market cap (secondary)
 // 3. DexScreener: No limits, current data only (last resort)
-// DexPaprika: DISABLED - CORS blocked from browser-based apps (GitHub Pages)
+// Series from several providers are stitched together when one doesn't
+// cover the whole range (e.g. CoinGecko history before a pool existed).
+// DexPaprika: registered but off by default - CORS blocked from browser-based apps (GitHub Pages)
+// unless routed through a CORS proxy (see endpoints.js)
 
-import {
-  fetchGeckoTerminalMarketCap,
-  fetchAllTokensMarketCap as fetchAllGeckoTerminal,
-  clearCache as clearGeckoTerminalCache,
-  daysToApiParam
-} from './geckoterminal';
+// Imported for registration side effects - import order is the default chain order
+import { daysToApiParam } from './geckoterminal';
+import './coingecko-backup';
+import './dexscreener';
+import './dexpaprika';
 
-// DexPaprika disabled - CORS blocked from browser-based apps (GitHub Pages)
-// import {
-//   fetchDexPaprikaMarketCap,
-//   clearCache as clearDexPaprikaCache
-// } from './dexpaprika';
-
-import { fetchDexScreenerMarketCap } from './dexscreener';
-
-import {
-  fetchCoinGeckoBackupMarketCap,
-  clearCache as clearCoinGeckoBackupCache
-} from './coingecko-backup';
+import { getProviderChain, getProviders } from './providers';
+import { PRIORITY, isAbortError } from './scheduler';
+import { coalesce } from './inflight';
+import { isUnavailableError } from './http';
+import { getResolution, getZoomResolution, DAY } from './resolution';
+import { seriesKey, getStoredSeries, putStoredSeries } from '../utils/seriesStore';
+import { mergeSeries, pruneSeries, stitchSeries } from '../utils/series';
+import { cleanSeries } from '../utils/cleaning';
 
 // Re-export the GeckoTerminal functions as the main API
 export { daysToApiParam };
@@ -43,95 +44,305 @@ function setCache(key, data) {
   resultCache.set(key, { data, timestamp: Date.now() });
 }
 
+// Provider-specific fields of a result (pool, supply, coin ID...) kept
+// alongside the stored series so top-ups can skip lookup requests
+function getResultMeta(token, result) {
+  const meta = {};
+  Object.keys(result).forEach(key => {
+    if (key !== 'data' && key !== 'providersTried' && result[key] !== token[key]) {
+      meta[key] = result[key];
+    }
+  });
+  return meta;
+}
+
+// Clean a provider's series for display (the store keeps what the provider
+// sent); points from a result without circulating supply are flagged as
+// estimated
+function prepareSeries(result) {
+  const data = cleanSeries(result.data, { liquidity: result.liquidity });
+  return result.estimated ? data.map(point => ({ ...point, estimated: true })) : data;
+}
+
+// Drop stored points older than the requested window
+function trimToWindow(data, days) {
+  if (days === 'max') return data;
+  const cutoff = Date.now() - days * DAY;
+  return data.filter(point => point.x >= cutoff);
+}
+
 /**
- * Fetch market cap data for a token
- * Fallback chain: GeckoTerminal -> CoinGecko -> DexScreener
+ * Get market cap data for a token from the on-device store
+ * Returns the first stored series along the token's provider chain,
+ * without any network requests.
  */
-export async function fetchTokenMarketCap(token, days = 30) {
-  const cacheKey = `token_${token.id}_${days}`;
-  const cached = getCached(cacheKey);
-  if (cached) return cached;
+export async function getStoredMarketCap(token, days = 30) {
+  const resolution = getResolution(days);
+
+  for (const provider of getProviderChain(token)) {
+    const stored = await getStoredSeries(seriesKey(token.id, provider.id, resolution.id));
+    if (stored?.data?.length > 0) {
+      return {
+        ...token,
+        ...stored.meta,
+        data: cleanSeries(trimToWindow(stored.data, days), { liquidity: stored.meta?.liquidity }),
+        source: provider.id,
+        fromStore: true
+      };
+    }
+  }
+  return null;
+}
 
-  let result = null;
+/**
+ * Fetch one provider's series for a token, topping up the stored series
+ * A stored series only gets candles newer than its last one when it was
+ * fetched back to the start of the window (`meta.fetchedFrom`, 0 after a
+ * 'max' fetch); otherwise the whole window is fetched and merged in.
+ * @returns {Object} - { status, result, error }
+ *   status: 'ok', 'not_found' (the provider answered without data),
+ *   'unavailable' (unreachable after retries) or 'error' (unexpected failure).
+ *   Unless 'ok', result is the stored series if there is one.
+ */
+async function fetchFromProvider(provider, token, days, options) {
+  const key = seriesKey(token.id, provider.id, getResolution(days).id);
+  const stored = await getStoredSeries(key);
+  const storedData = stored?.data?.length > 0 ? trimToWindow(stored.data, days) : [];
+  const windowStart = days === 'max' ? 0 : Date.now() - days * DAY;
+  // Series stored before `fetchedFrom` was recorded count as fetched from
+  // their first point
+  const storedFrom = stored?.meta?.fetchedFrom ?? stored?.data?.[0]?.x ?? Infinity;
+  const since = storedData.length > 0 && storedFrom <= windowStart
+    ? storedData[storedData.length - 1].x
+    : null;
+  const storedResult = storedData.length > 0
+    ? { ...token, ...stored.meta, data: storedData, source: provider.id }
+    : null;
 
-  // 1. Try GeckoTerminal first (has historical OHLCV, up to 6 months)
   try {
-    console.log(`Fetching ${token.symbol} from GeckoTerminal...`);
-    result = await fetchGeckoTerminalMarketCap(token, days);
+    console.log(`Fetching ${token.symbol} from ${provider.name}${since ? ' (top-up)' : ''}...`);
+    const result = await provider.fetchMarketCap(token, days, {
+      ...options,
+      since,
+      previous: since ? stored.meta : null
+    });
 
-    if (result && result.data && result.data.length > 0) {
-      console.log(`✓ ${token.symbol}: ${result.data.length} data points from GeckoTerminal`);
-      setCache(cacheKey, result);
-      return result;
+    if (result && result.data && (result.data.length > 0 || storedData.length > 0)) {
+      // A top-up only extends the series forward
+      const fetched = since ? result.data.filter(point => point.x >= since) : result.data;
+      const data = mergeSeries(storedData, fetched);
+      const meta = {
+        ...stored?.meta,
+        ...getResultMeta(token, result),
+        fetchedFrom: since ? storedFrom : Math.min(storedFrom, windowStart)
+      };
+      // The store keeps points from before the window, for longer ranges,
+      // up to the resolution's longest range
+      const retainDays = getResolution(days).retainDays;
+      await putStoredSeries(key, pruneSeries(mergeSeries(stored?.data, fetched), retainDays), meta);
+
+      console.log(`✓ ${token.symbol}: ${data.length} data points from ${provider.name} (${fetched.length} new)`);
+      return { status: 'ok', result: { ...result, data } };
     }
+
+    return { status: 'not_found', result: storedResult };
   } catch (error) {
-    console.warn(`GeckoTerminal failed for ${token.symbol}:`, error.message);
+    if (isAbortError(error)) throw error;
+    console.warn(`${provider.name} failed for ${token.symbol}:`, error.message);
+    if (isUnavailableError(error)) {
+      return { status: 'unavailable', error: error.reason, result: storedResult };
+    }
+    return { status: 'error', error: error.message, result: storedResult };
   }
+}
 
-  // 2. Try CoinGecko (has historical market cap data)
-  try {
-    console.log(`Trying CoinGecko for ${token.symbol}...`);
-    result = await fetchCoinGeckoBackupMarketCap(token, days);
+// Callers asking for the same token/range/provider share one request
+function fetchShared(provider, token, days, options) {
+  return coalesce(
+    `${provider.id}|${token.id}|${days}`,
+    signal => fetchFromProvider(provider, token, days, { ...options, signal }),
+    options.signal
+  );
+}
+
+// Whether the collected series reach back to the start of the window
+// ('max' is never covered - every full-history provider gets a chance)
+function coversWindow(collected, days) {
+  if (days === 'max' || collected.length === 0) return false;
+  const earliest = Math.min(...collected.map(r => r.data[0].x));
+  return earliest <= Date.now() - days * DAY + getResolution(days).ms;
+}
+
+// Whether the collected series end more than a candle ago
+function isStale(collected, days) {
+  if (collected.length === 0) return true;
+  const latest = Math.max(...collected.map(r => r.data[r.data.length - 1].x));
+  return latest < Date.now() - getResolution(days).ms;
+}
+
+/**
+ * Fetch market cap data for a token
+ * Walks the token's provider chain and stitches the series of several
+ * providers into one (see stitchSeries): history providers are tried in
+ * chain order until the window is covered, then current-only providers
+ * add a point if the history is stale (or is all there is).
+ * Overlaps are resolved by chain order, and every point records its source.
+ * Each series is cleaned of outliers first (see cleaning.js).
+ * Each provider only fetches candles newer than what's stored on-device
+ * once its stored series reaches back to the window's start (see
+ * fetchFromProvider), and its result is merged into its stored series.
+ * Every result (and failure) carries `providersTried` for the UI; a failure's
+ * `errorKind` is 'not_found' when every provider answered without data, and
+ * 'unavailable' when at least one couldn't be reached.
+ * @param {Object} options
+ * @param {number} options.priority - Scheduler priority for this token's requests
+ * @param {AbortSignal} options.signal - Cancels the fetch; rejects with an AbortError
+ */
+export async function fetchTokenMarketCap(token, days = 30, options = {}) {
+  const chain = getProviderChain(token);
+  const cacheKey = `token_${token.id}_${days}_${chain.map(p => p.id).join(',')}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  const providersTried = [];
+  const collected = [];
+
+  const tryProvider = async (provider) => {
+    options.signal?.throwIfAborted();
+    const outcome = await fetchShared(provider, token, days, options);
+
+    providersTried.push({
+      id: provider.id,
+      status: outcome.status,
+      points: outcome.result?.data?.length || 0,
+      error: outcome.error
+    });
 
-    if (result && result.data && result.data.length > 0) {
-      console.log(`✓ ${token.symbol}: ${result.data.length} data points from CoinGecko`);
-      setCache(cacheKey, result);
-      return result;
+    // Stored data still counts when the provider had nothing new to say
+    if (outcome.result?.data?.length > 0) {
+      collected.push(outcome.result);
     }
-  } catch (error) {
-    console.warn(`CoinGecko failed for ${token.symbol}:`, error.message);
+  };
+
+  for (const provider of chain.filter(p => p.capabilities.history)) {
+    if (coversWindow(collected, days)) break;
+    await tryProvider(provider);
   }
 
-  // 3. Last resort: DexScreener (only current data, no history)
-  try {
-    console.log(`Trying DexScreener for ${token.symbol}...`);
-    result = await fetchDexScreenerMarketCap(token);
+  for (const provider of chain.filter(p => !p.capabilities.history)) {
+    if (!isStale(collected, days)) break;
+    await tryProvider(provider);
+  }
+
+  if (collected.length === 0) {
+    console.warn(`✗ ${token.symbol}: No data from any source`);
+    const errorKind = providersTried.every(p => p.status === 'not_found') ? 'not_found' : 'unavailable';
+    return { ...token, data: [], error: true, errorKind, source: 'none', providersTried };
+  }
+
+  // The highest-priority result supplies current values; points come from all
+  const [primary] = collected;
+  const data = stitchSeries(collected.map(r => ({ source: r.source, data: prepareSeries(r) })));
+  const sources = [...new Set(data.map(point => point.source))];
+  const estimated = data.some(point => point.estimated);
+
+  if (sources.length > 1) {
+    console.log(`✓ ${token.symbol}: ${data.length} data points stitched from ${sources.join(', ')}`);
+  }
+
+  const result = { ...primary, data, sources, estimated, providersTried };
+  setCache(cacheKey, result);
+  return result;
+}
+
+// Whether a zoom series' fetched windows include [from, to]
+function coversZoomWindow(meta, from, to) {
+  return (meta?.windows || []).some(([start, end]) => start <= from && end >= to);
+}
+
+/**
+ * Fetch finer candles for a zoomed-in window of the chart
+ * Uses the first provider in the token's chain that can fetch a window
+ * (provider.fetchWindow) and already has a stored series for the range -
+ * its pools and supply are reused. Each resolution is kept in its own
+ * zoom series in the store, so windows that were already fetched load
+ * from disk.
+ * @param {number|string} days - Selected range
+ * @param {Object} window - { from, to } in ms
+ * @param {Object} options - Scheduler options ({ priority, signal })
+ * @returns {Object|null} - { resolution, source, data } or null when the
+ *   window isn't finer than the range or no provider could fetch it
+ */
+export async function fetchWindowMarketCap(token, days, { from, to }, options = {}) {
+  const resolution = getZoomResolution(days, to - from);
+  if (!resolution) return null;
+
+  for (const provider of getProviderChain(token).filter(p => p.fetchWindow)) {
+    const base = await getStoredSeries(seriesKey(token.id, provider.id, getResolution(days).id));
+    if (!base?.meta) continue;
 
-    if (result && result.data && result.data.length > 0) {
-      console.log(`✓ ${token.symbol}: current data from DexScreener`);
-      setCache(cacheKey, result);
-      return result;
+    const zoomKey = seriesKey(token.id, provider.id, `zoom-${resolution.id}`);
+    const stored = await getStoredSeries(zoomKey);
+    const inWindow = data => data.filter(point => point.x >= from && point.x <= to);
+    const toResult = data => ({
+      resolution,
+      source: provider.id,
+      data: prepareSeries({ ...base.meta, data: inWindow(data) }).map(point => ({ ...point, source: provider.id }))
+    });
+
+    if (coversZoomWindow(stored?.meta, from, to)) {
+      return toResult(stored.data);
+    }
+
+    try {
+      const result = await provider.fetchWindow(token, { from, to, resolution }, { ...options, previous: base.meta });
+      if (!result?.data?.length) continue;
+
+      // The window ending now is only covered up to the fetch
+      const merged = mergeSeries(stored?.data, result.data);
+      const data = pruneSeries(merged);
+      // Windows starting before the oldest point kept are no longer covered
+      const windows = [...(stored?.meta?.windows || []), [from, Math.min(to, Date.now())]]
+        .filter(([start]) => data.length === merged.length || start >= data[0].x);
+      await putStoredSeries(zoomKey, data, { windows });
+
+      console.log(`✓ ${token.symbol}: ${result.data.length} ${resolution.id} candles from ${provider.name} for zoom`);
+      return toResult(data);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`${provider.name} zoom failed for ${token.symbol}:`, error.message);
     }
-  } catch (error) {
-    console.warn(`DexScreener failed for ${token.symbol}:`, error.message);
   }
 
-  console.warn(`✗ ${token.symbol}: No data from any source`);
   return null;
 }
 
 /**
  * Fetch market cap data for multiple tokens
+ * Tokens are fetched concurrently; the scheduler enforces each provider's
+ * budget and runs requests for tokens enabled on the chart first.
+ * onProgress is called as each token completes.
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels every token's fetch
  */
-export async function fetchAllTokensMarketCap(tokens, days = 30, onProgress) {
-  const results = [];
+export async function fetchAllTokensMarketCap(tokens, days = 30, onProgress, options = {}) {
+  let completed = 0;
 
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
+  return Promise.all(tokens.map(async token => {
+    const priority = token.enabled ? PRIORITY.ENABLED : PRIORITY.BACKGROUND;
+    const result = await fetchTokenMarketCap(token, days, { ...options, priority });
 
+    completed++;
     if (onProgress) {
       onProgress({
-        current: i + 1,
+        current: completed,
         total: tokens.length,
         token: token.symbol
       });
     }
 
-    const result = await fetchTokenMarketCap(token, days);
-
-    if (result) {
-      results.push(result);
-    } else {
-      results.push({
-        ...token,
-        data: [],
-        error: true,
-        source: 'none'
-      });
-    }
-  }
-
-  return results;
+    return result;
+  }));
 }
 
 /**
@@ -139,9 +350,7 @@ export async function fetchAllTokensMarketCap(tokens, days = 30, onProgress) {
  */
 export function clearCache() {
   resultCache.clear();
-  clearGeckoTerminalCache();
-  // clearDexPaprikaCache(); // Disabled
-  clearCoinGeckoBackupCache();
+  getProviders().forEach(p => p.clearCache?.());
 }
 
 /**
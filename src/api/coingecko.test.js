@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { clearSeriesStore } from '../utils/seriesStore';
+import { useFixtureClock, settle, NOW, HOUR, DAY, TOKENS } from '../test/fixtures';
+
+const tried = result => result.providersTried.map(p => `${p.id}:${p.status}`);
+
+describe('fetchTokenMarketCap', () => {
+  let fetchTokenMarketCap;
+  let clearCache;
+  let saveSettings;
+
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+
+  // Fresh modules per test: rate-limit budgets, caches and fixture
+  // sequences would otherwise carry over while the clock is wound back
+  beforeEach(async () => {
+    vi.setSystemTime(NOW);
+    vi.resetModules();
+    ({ fetchTokenMarketCap, clearCache } = await import('./coingecko'));
+    ({ saveSettings } = await import('../utils/storage'));
+    saveSettings({});
+    await settle(clearSeriesStore());
+  });
+
+  it('stops at the first provider that covers the window', async () => {
+    const result = await settle(fetchTokenMarketCap(TOKENS.jbm, 1));
+
+    expect(tried(result)).toEqual(['geckoterminal:ok']);
+    expect(result.sources).toEqual(['geckoterminal']);
+    expect(result.data).toHaveLength(6);
+    expect(result.data.every(point => point.source === 'geckoterminal')).toBe(true);
+  });
+
+  it('stitches older CoinGecko history before a young pool', async () => {
+    const result = await settle(fetchTokenMarketCap(TOKENS.stitch, 30));
+
+    expect(tried(result)).toEqual(['geckoterminal:ok', 'coingecko:ok']);
+    expect(result.sources).toEqual(['coingecko', 'geckoterminal']);
+    // GeckoTerminal supplies current values and wins where the two overlap
+    expect(result.source).toBe('geckoterminal');
+    const firstPoolPoint = result.data.find(point => point.source === 'geckoterminal');
+    const history = result.data.filter(point => point.source === 'coingecko');
+    expect(history.length).toBeGreaterThan(20);
+    expect(history.every(point => point.x < firstPoolPoint.x)).toBe(true);
+    expect(result.data.filter(point => point.source === 'geckoterminal')).toHaveLength(11);
+  });
+
+  it('walks the configured chain order', async () => {
+    saveSettings({ providerOrder: ['coingecko', 'geckoterminal', 'dexscreener'] });
+    const result = await settle(fetchTokenMarketCap(TOKENS.stitch, 30));
+
+    // CoinGecko's daily points are a day old, so DexScreener is asked for
+    // a current one (it has none for this token)
+    expect(tried(result)).toEqual(['coingecko:ok', 'dexscreener:not_found']);
+    expect(result.sources).toEqual(['coingecko']);
+  });
+
+  it('adds a current-only point when the history is stale', async () => {
+    await settle(fetchTokenMarketCap(TOKENS.jbm, 1));
+    vi.setSystemTime(NOW + 2 * HOUR);
+    clearCache();
+
+    const result = await settle(fetchTokenMarketCap(TOKENS.jbm, 1));
+
+    // The stored series is topped up from the same recordings, but no
+    // longer reaches back a full day, so CoinGecko is asked too
+    expect(tried(result)).toEqual(['geckoterminal:ok', 'coingecko:not_found', 'dexscreener:ok']);
+    const latest = result.data[result.data.length - 1];
+    expect(latest).toMatchObject({ source: 'dexscreener', y: 2100000 });
+    expect(latest.x).toBeGreaterThanOrEqual(NOW + 2 * HOUR);
+  });
+
+  it("reports 'not_found' when every provider answers without data", async () => {
+    const result = await settle(fetchTokenMarketCap(TOKENS.gone, 1));
+
+    expect(result).toMatchObject({ data: [], error: true, errorKind: 'not_found', source: 'none' });
+    expect(tried(result)).toEqual(['geckoterminal:not_found', 'coingecko:not_found', 'dexscreener:not_found']);
+  });
+
+  it("reports 'unavailable' when a provider could not be reached", async () => {
+    const result = await settle(fetchTokenMarketCap(TOKENS.down, 1));
+
+    expect(result).toMatchObject({ error: true, errorKind: 'unavailable' });
+    expect(result.providersTried[0]).toMatchObject({ id: 'geckoterminal', status: 'unavailable', error: 'HTTP 503' });
+  });
+
+  it('gets through a rate-limited provider instead of falling back', async () => {
+    const result = await settle(fetchTokenMarketCap(TOKENS.rate, 1));
+
+    expect(tried(result)).toEqual(['geckoterminal:ok']);
+    expect(result.data).toHaveLength(3);
+  });
+});
+
+describe('stored series', () => {
+  let fetchTokenMarketCap;
+  let clearCache;
+  let calls;
+
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+
+  // A provider with daily points back to whatever start it is asked for,
+  // recording each request's `since`
+  beforeEach(async () => {
+    vi.setSystemTime(NOW);
+    vi.resetModules();
+    ({ fetchTokenMarketCap, clearCache } = await import('./coingecko'));
+    const { registerProvider } = await import('./providers');
+    const { saveSettings } = await import('../utils/storage');
+    await settle(clearSeriesStore());
+
+    calls = [];
+    registerProvider({
+      id: 'daily',
+      name: 'Daily',
+      capabilities: { history: true, chains: ['base'], maxDays: null },
+      enabledByDefault: false,
+      fetchMarketCap: async (token, days, { since }) => {
+        calls.push(since);
+        const start = since ?? (days === 'max' ? NOW - 1000 * DAY : NOW - days * DAY);
+        const data = [];
+        for (let x = Math.ceil(start / DAY) * DAY; x <= NOW; x += DAY) data.push({ x, y: 1000 });
+        return { ...token, data, source: 'daily' };
+      }
+    });
+    saveSettings({ providerOrder: ['daily'] });
+  });
+
+  const fetchDays = async days => {
+    clearCache();
+    return settle(fetchTokenMarketCap(TOKENS.jbm, days));
+  };
+
+  it('fetches the whole window when the stored series starts after it', async () => {
+    await fetchDays(90);
+    const year = await fetchDays(365);
+
+    expect(calls).toEqual([null, null]);
+    expect(year.data[0].x).toBeLessThanOrEqual(NOW - 364 * DAY);
+  });
+
+  it('only tops up windows the stored series already reaches back to', async () => {
+    await fetchDays(365);
+    const quarter = await fetchDays(90);
+    // A shorter window doesn't drop the stored year
+    const year = await fetchDays(365);
+
+    expect(calls.slice(1)).toEqual([Math.floor(NOW / DAY) * DAY, Math.floor(NOW / DAY) * DAY]);
+    expect(quarter.data).toHaveLength(90);
+    expect(year.data[0].x).toBeLessThanOrEqual(NOW - 364 * DAY);
+  });
+
+  it("fetches the full history for 'max' once", async () => {
+    await fetchDays(365);
+    const max = await fetchDays('max');
+    await fetchDays('max');
+
+    expect(calls[1]).toBeNull();
+    expect(calls[2]).not.toBeNull();
+    expect(max.data[0].x).toBeLessThanOrEqual(NOW - 999 * DAY);
+  });
+});
@@ -2,15 +2,17 @@
 // Completely free, no API key, no rate limits
 // Historical OHLCV up to 1 year, 1-minute resolution available
 // Docs: https://docs.dexpaprika.com
+// Not in the default provider chain - CORS blocked from browser-based apps (GitHub Pages);
+// route it through a CORS proxy in settings to switch it on
 
-const BASE_URL = 'https://api.dexpaprika.com';
+import { registerProvider } from './providers';
+import { getNetworkId, getChainsForProvider } from '../data/chains';
+import { isAbortError } from './scheduler';
+import { providerFetch, isUnavailableError } from './http';
+import { getBaseUrl } from './endpoints';
+import { resolveSupply, toSupplyPoint } from './supply';
 
-// Map our platform names to DexPaprika network IDs
-const NETWORK_MAP = {
-  'ethereum': 'ethereum',
-  'base': 'base',
-  'solana': 'solana'
-};
+const BASE_URL = 'https://api.dexpaprika.com';
 
 // Simple cache
 const cache = new Map();
@@ -31,17 +33,15 @@ function setCache(key, data) {
 /**
  * Get pools for a token from DexPaprika
  */
-export async function getTokenPools(platform, contractAddress) {
-  const network = NETWORK_MAP[platform] || platform;
+export async function getTokenPools(platform, contractAddress, options = {}) {
+  const network = getNetworkId(platform, 'dexpaprika');
   const cacheKey = `dexpaprika_pools_${network}_${contractAddress}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/networks/${network}/tokens/${contractAddress}/pools`;
-    const response = await fetch(url, {
-      headers: { 'Accept': 'application/json' }
-    });
+    const url = `${getBaseUrl('dexpaprika')}/networks/${network}/tokens/${contractAddress}/pools`;
+    const response = await providerFetch('dexpaprika', url, options);
 
     if (!response.ok) {
       console.warn(`DexPaprika: No pools for ${contractAddress}`);
@@ -52,6 +52,7 @@ export async function getTokenPools(platform, contractAddress) {
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexPaprika pools error:`, error);
     return null;
   }
@@ -60,17 +61,15 @@ export async function getTokenPools(platform, contractAddress) {
 /**
  * Get token info from DexPaprika
  */
-export async function getTokenInfo(platform, contractAddress) {
-  const network = NETWORK_MAP[platform] || platform;
+export async function getTokenInfo(platform, contractAddress, options = {}) {
+  const network = getNetworkId(platform, 'dexpaprika');
   const cacheKey = `dexpaprika_token_${network}_${contractAddress}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/networks/${network}/tokens/${contractAddress}`;
-    const response = await fetch(url, {
-      headers: { 'Accept': 'application/json' }
-    });
+    const url = `${getBaseUrl('dexpaprika')}/networks/${network}/tokens/${contractAddress}`;
+    const response = await providerFetch('dexpaprika', url, options);
 
     if (!response.ok) {
       console.warn(`DexPaprika: No token info for ${contractAddress}`);
@@ -81,6 +80,7 @@ export async function getTokenInfo(platform, contractAddress) {
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexPaprika token info error:`, error);
     return null;
   }
@@ -91,24 +91,29 @@ export async function getTokenInfo(platform, contractAddress) {
  * @param {string} network - Network ID (ethereum, base, solana)
  * @param {string} poolAddress - Pool address
  * @param {number} days - Number of days of data to fetch
+ * @param {number} since - Optional start time (ms) for incremental fetches
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function getPoolOHLCV(network, poolAddress, days = 30) {
-  const cacheKey = `dexpaprika_ohlcv_${network}_${poolAddress}_${days}`;
+export async function getPoolOHLCV(network, poolAddress, days = 30, since = null, options = {}) {
+  const cacheKey = `dexpaprika_ohlcv_${network}_${poolAddress}_${days}_${since}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
     // Calculate start date
-    const endDate = new Date();
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
+    if (since && since > startDate.getTime()) {
+      startDate.setTime(since);
+    }
 
-    // Determine appropriate interval based on days requested
+    // Determine appropriate interval based on days requested (matching the
+    // resolution the series is stored under, see resolution.js)
     let interval;
     let limit;
     if (days <= 1) {
-      interval = '5m';
-      limit = 288; // 24 hours at 5-min intervals
+      interval = '15m';
+      limit = 96; // 24 hours at 15-min intervals
     } else if (days <= 7) {
       interval = '1h';
       limit = Math.min(days * 24, 366);
@@ -122,10 +127,8 @@ export async function getPoolOHLCV(network, poolAddress, days = 30) {
 
     const startStr = startDate.toISOString().split('T')[0];
 
-    const url = `${BASE_URL}/networks/${network}/pools/${poolAddress}/ohlcv?start=${startStr}&limit=${limit}&interval=${interval}`;
-    const response = await fetch(url, {
-      headers: { 'Accept': 'application/json' }
-    });
+    const url = `${getBaseUrl('dexpaprika')}/networks/${network}/pools/${poolAddress}/ohlcv?start=${startStr}&limit=${limit}&interval=${interval}`;
+    const response = await providerFetch('dexpaprika', url, options);
 
     if (!response.ok) {
       console.warn(`DexPaprika: No OHLCV for pool ${poolAddress}`);
@@ -136,6 +139,7 @@ export async function getPoolOHLCV(network, poolAddress, days = 30) {
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexPaprika OHLCV error:`, error);
     return null;
   }
@@ -143,16 +147,20 @@ export async function getPoolOHLCV(network, poolAddress, days = 30) {
 
 /**
  * Fetch complete market cap data for a token from DexPaprika
+ * @param {Object} options
+ * @param {number} options.since - Last stored candle time (ms) for incremental fetches
+ * @param {number} options.priority - Scheduler priority
+ * @param {AbortSignal} options.signal - Cancels pending requests
  */
-export async function fetchDexPaprikaMarketCap(token, days = 30) {
-  const network = NETWORK_MAP[token.platform] || token.platform;
+export async function fetchDexPaprikaMarketCap(token, days = 30, options = {}) {
+  const network = getNetworkId(token.platform, 'dexpaprika');
 
   try {
     // Step 1: Get token info
-    const tokenInfo = await getTokenInfo(token.platform, token.contract);
+    const tokenInfo = await getTokenInfo(token.platform, token.contract, options);
 
     // Step 2: Get pools for this token
-    const poolsResponse = await getTokenPools(token.platform, token.contract);
+    const poolsResponse = await getTokenPools(token.platform, token.contract, options);
 
     // DexPaprika returns { pools: [...] } structure
     const pools = poolsResponse?.pools || poolsResponse;
@@ -177,18 +185,21 @@ export async function fetchDexPaprikaMarketCap(token, days = 30) {
     const poolAddress = bestPool.id;
 
     // Step 3: Get OHLCV data
-    const ohlcvData = await getPoolOHLCV(network, poolAddress, days);
+    // DexPaprika serves up to a year of history
+    const lookback = days === 'max' ? 365 : days;
+    const ohlcvData = await getPoolOHLCV(network, poolAddress, lookback, options.since, options);
 
     if (!ohlcvData || !Array.isArray(ohlcvData) || ohlcvData.length === 0) {
       console.warn(`DexPaprika: No OHLCV data for ${token.symbol}`);
 
-      // Fall back to current price if available
+      // Fall back to current market cap if available
       if (tokenInfo?.price_usd && tokenInfo?.market_cap) {
         return {
           ...token,
           data: [{ x: Date.now(), y: Math.round(tokenInfo.market_cap) }],
           currentMarketCap: tokenInfo.market_cap,
           currentPrice: tokenInfo.price_usd,
+          estimated: false,
           source: 'dexpaprika',
           lastUpdated: Date.now()
         };
@@ -196,28 +207,39 @@ export async function fetchDexPaprikaMarketCap(token, days = 30) {
       return null;
     }
 
-    // Step 4: Calculate supply from current market cap and price
+    // Step 4: Work out supply from current market cap / FDV and price
     // Try to get token info from the pool's tokens array
     const poolToken = bestPool.tokens?.find(t =>
       t.id?.toLowerCase() === token.contract.toLowerCase()
     );
 
     const currentPrice = parseFloat(bestPool.price_usd || tokenInfo?.price_usd || 0);
-    const fdv = parseFloat(poolToken?.fdv || tokenInfo?.fdv_usd || tokenInfo?.market_cap || 0);
-    const supply = currentPrice > 0 ? fdv / currentPrice : 0;
+    const supply = resolveSupply({
+      price: currentPrice,
+      marketCap: parseFloat(tokenInfo?.market_cap || 0),
+      fdv: parseFloat(poolToken?.fdv || tokenInfo?.fdv_usd || 0)
+    });
+
+    if (!supply) {
+      console.warn(`DexPaprika: No supply data for ${token.symbol}, can't compute market cap`);
+      return null;
+    }
 
     // Step 5: Convert OHLCV to market cap time series
     // DexPaprika response format: { time_open, time_close, open, high, low, close, volume }
-    const data = ohlcvData.map(candle => {
-      const timestamp = new Date(candle.time_close || candle.time_open).getTime();
-      const price = parseFloat(candle.close);
-      const marketCap = supply > 0 ? price * supply : price * 1e9;
-
-      return {
-        x: timestamp,
-        y: Math.round(marketCap)
-      };
-    }).filter(point => !isNaN(point.x) && !isNaN(point.y) && point.y > 0)
+    const data = ohlcvData
+      .map(candle => toSupplyPoint(
+        new Date(candle.time_close || candle.time_open).getTime(),
+        {
+          open: parseFloat(candle.open),
+          high: parseFloat(candle.high),
+          low: parseFloat(candle.low),
+          close: parseFloat(candle.close),
+          volume: parseFloat(candle.volume)
+        },
+        supply
+      ))
+      .filter(point => !isNaN(point.x) && !isNaN(point.y) && point.y > 0)
       .sort((a, b) => a.x - b.x);
 
     if (data.length === 0) {
@@ -227,14 +249,20 @@ export async function fetchDexPaprikaMarketCap(token, days = 30) {
     return {
       ...token,
       data,
-      currentMarketCap: fdv || (currentPrice * supply),
+      currentMarketCap: currentPrice * (supply.circulatingSupply || supply.totalSupply),
+      currentFdv: supply.totalSupply ? currentPrice * supply.totalSupply : null,
       currentPrice,
       poolAddress,
-      liquidity: parseFloat(bestPool.volume_usd || 0),
+      ...supply,
+      // The pool list has no liquidity (volume_usd is 24h volume); null also
+      // replaces the volume figure older stored series kept as liquidity
+      liquidity: null,
+      volume24h: parseFloat(bestPool.volume_usd || 0),
       source: 'dexpaprika',
       lastUpdated: Date.now()
     };
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexPaprika error for ${token.symbol}:`, error);
     return null;
   }
@@ -246,3 +274,19 @@ export async function fetchDexPaprikaMarketCap(token, days = 30) {
 export function clearCache() {
   cache.clear();
 }
+
+registerProvider({
+  id: 'dexpaprika',
+  name: 'DexPaprika',
+  baseUrl: BASE_URL,
+  capabilities: {
+    history: true,
+    chains: getChainsForProvider('dexpaprika'),
+    maxDays: 365,
+    rateLimit: null
+  },
+  enabledByDefault: false,
+  needsProxy: true,
+  fetchMarketCap: fetchDexPaprikaMarketCap,
+  clearCache
+});
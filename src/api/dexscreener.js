@@ -2,26 +2,26 @@
 // Free, no rate limits, better coverage for DEX tokens
 // Docs: https://docs.dexscreener.com/api/reference
 
-const BASE_URL = 'https://api.dexscreener.com/latest';
+import { registerProvider } from './providers';
+import { getNetworkId, getChainsForProvider } from '../data/chains';
+import { isAbortError } from './scheduler';
+import { providerFetch, isUnavailableError } from './http';
+import { getBaseUrl } from './endpoints';
 
-// Map our platform names to DexScreener chain names
-const CHAIN_MAP = {
-  'ethereum': 'ethereum',
-  'base': 'base',
-  'solana': 'solana'
-};
+const BASE_URL = 'https://api.dexscreener.com/latest';
 
 /**
  * Get token info by contract address from DexScreener
- * @param {string} platform - 'ethereum', 'base', or 'solana'
+ * @param {string} platform - Chain ID (see data/chains.js)
  * @param {string} contractAddress - The token contract address
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function getDexScreenerToken(platform, contractAddress) {
+export async function getDexScreenerToken(platform, contractAddress, options = {}) {
   try {
-    const chain = CHAIN_MAP[platform] || platform;
-    const url = `${BASE_URL}/dex/tokens/${contractAddress}`;
+    const chain = getNetworkId(platform, 'dexscreener');
+    const url = `${getBaseUrl('dexscreener')}/dex/tokens/${contractAddress}`;
 
-    const response = await fetch(url);
+    const response = await providerFetch('dexscreener', url, options);
 
     if (!response.ok) {
       console.warn(`DexScreener: Failed to fetch token ${contractAddress}: ${response.status}`);
@@ -46,6 +46,7 @@ export async function getDexScreenerToken(platform, contractAddress) {
     chainPairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
     return chainPairs[0];
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexScreener error for ${contractAddress}:`, error);
     return null;
   }
@@ -56,11 +57,12 @@ export async function getDexScreenerToken(platform, contractAddress) {
  * Note: DexScreener doesn't provide historical market cap directly,
  * but we can calculate it from price * circulating supply
  * @param {string} contractAddress - The token contract address
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function getDexScreenerPairs(contractAddress) {
+export async function getDexScreenerPairs(contractAddress, options = {}) {
   try {
-    const url = `${BASE_URL}/dex/tokens/${contractAddress}`;
-    const response = await fetch(url);
+    const url = `${getBaseUrl('dexscreener')}/dex/tokens/${contractAddress}`;
+    const response = await providerFetch('dexscreener', url, options);
 
     if (!response.ok) {
       return null;
@@ -69,6 +71,7 @@ export async function getDexScreenerPairs(contractAddress) {
     const data = await response.json();
     return data.pairs || [];
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexScreener pairs error for ${contractAddress}:`, error);
     return null;
   }
@@ -77,30 +80,36 @@ export async function getDexScreenerPairs(contractAddress) {
 /**
  * Fetch current market cap and FDV from DexScreener
  * Returns current snapshot (not historical)
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function fetchDexScreenerMarketCap(token) {
+export async function fetchDexScreenerMarketCap(token, options = {}) {
   try {
-    const pair = await getDexScreenerToken(token.platform, token.contract);
+    const pair = await getDexScreenerToken(token.platform, token.contract, options);
 
     if (!pair) {
       return null;
     }
 
     // DexScreener provides fdv (fully diluted valuation) and marketCap
+    // (circulating); without marketCap the FDV stands in as an estimate
     const marketCap = pair.marketCap || pair.fdv || 0;
     const priceUsd = parseFloat(pair.priceUsd) || 0;
 
-    if (marketCap === 0 && priceUsd === 0) {
+    if (marketCap === 0) {
       return null;
     }
 
     // Create a single data point for current time
     // DexScreener doesn't provide historical data via free API
-    const now = Date.now();
+    const point = { x: Date.now(), y: Math.round(marketCap) };
+    if (pair.fdv) point.fdv = Math.round(pair.fdv);
+    if (pair.liquidity?.usd) point.liq = Math.round(pair.liquidity.usd);
 
     return {
       ...token,
       currentMarketCap: marketCap,
+      currentFdv: pair.fdv || null,
+      estimated: !pair.marketCap,
       currentPrice: priceUsd,
       priceChange24h: pair.priceChange?.h24 || 0,
       liquidity: pair.liquidity?.usd || 0,
@@ -108,11 +117,12 @@ export async function fetchDexScreenerMarketCap(token) {
       pairAddress: pair.pairAddress,
       dexId: pair.dexId,
       // Single point for now - we'll need chart endpoint for history
-      data: [{ x: now, y: Math.round(marketCap) }],
+      data: [point],
       source: 'dexscreener',
-      lastUpdated: now
+      lastUpdated: point.x
     };
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`Error fetching DexScreener data for ${token.symbol}:`, error);
     return null;
   }
@@ -121,12 +131,13 @@ export async function fetchDexScreenerMarketCap(token) {
 /**
  * Fetch chart data from DexScreener (requires pair address)
  * This gives us historical price data
+ * @param {Object} options - Scheduler options ({ priority, signal })
  */
-export async function fetchDexScreenerChart(pairAddress) {
+export async function fetchDexScreenerChart(pairAddress, options = {}) {
   try {
     // DexScreener chart endpoint - gives OHLCV data
-    const url = `https://api.dexscreener.com/latest/dex/pairs/chart/${pairAddress}`;
-    const response = await fetch(url);
+    const url = `${getBaseUrl('dexscreener')}/dex/pairs/chart/${pairAddress}`;
+    const response = await providerFetch('dexscreener', url, options);
 
     if (!response.ok) {
       return null;
@@ -135,7 +146,22 @@ export async function fetchDexScreenerChart(pairAddress) {
     const data = await response.json();
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`DexScreener chart error:`, error);
     return null;
   }
 }
+
+registerProvider({
+  id: 'dexscreener',
+  name: 'DexScreener',
+  baseUrl: BASE_URL,
+  capabilities: {
+    history: false,
+    chains: getChainsForProvider('dexscreener'),
+    maxDays: 0,
+    rateLimit: null
+  },
+  enabledByDefault: true,
+  fetchMarketCap: (token, days, options) => fetchDexScreenerMarketCap(token, options)
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { fetchDexScreenerMarketCap } from './dexscreener';
+import { resetReplay } from './transport';
+import { useFixtureClock, settle, NOW, TOKENS, POOLS } from '../test/fixtures';
+
+describe('fetchDexScreenerMarketCap', () => {
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+  beforeEach(() => {
+    vi.setSystemTime(NOW);
+    resetReplay();
+  });
+
+  it('uses the most liquid pair on the token chain', async () => {
+    const result = await settle(fetchDexScreenerMarketCap(TOKENS.jbm));
+
+    expect(result).toMatchObject({
+      source: 'dexscreener',
+      pairAddress: POOLS.jbm,
+      dexId: 'aerodrome',
+      currentMarketCap: 2100000,
+      currentFdv: 2520000,
+      currentPrice: 0.0021,
+      estimated: false,
+      liquidity: 420000.52,
+      volume24h: 55000.25
+    });
+    expect(result.data).toEqual([{ x: NOW, y: 2100000, fdv: 2520000, liq: 420001 }]);
+  });
+
+  it('returns null for a token without pairs', async () => {
+    expect(await settle(fetchDexScreenerMarketCap(TOKENS.gone))).toBeNull();
+  });
+});
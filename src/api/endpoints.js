@@ -0,0 +1,78 @@
+// Endpoint configuration for providers (from the settings panel)
+// Base URLs can be overridden, any provider can be routed through a
+// user-supplied CORS proxy, and API keys are sent as request headers.
+// Keys are kept in their own storage entry (see getApiKeys) and never put
+// into URLs, so they can't leak into saved tokens, share links or fixtures.
+
+import { getProvider } from './providers';
+import { getSettings, getApiKeys } from '../utils/storage';
+
+// Hosts used instead of the default when a paid plan is selected
+const PLAN_BASE_URLS = {
+  coingecko: { pro: 'https://pro-api.coingecko.com/api/v3' }
+};
+
+// Header carrying the API key, per provider and plan
+const KEY_HEADERS = {
+  coingecko: { demo: 'x-cg-demo-api-key', pro: 'x-cg-pro-api-key' }
+};
+
+// Placeholder in a proxy template that is replaced by the encoded target URL
+const PROXY_URL_PLACEHOLDER = '{url}';
+
+/**
+ * Get the base URL for a provider's requests
+ * A base URL set in settings wins, then the paid-plan host if a key is set.
+ */
+export function getBaseUrl(providerId) {
+  const { baseUrls, apiPlans } = getSettings();
+  const override = baseUrls?.[providerId]?.trim();
+  if (override) return override.replace(/\/+$/, '');
+
+  const planUrl = PLAN_BASE_URLS[providerId]?.[apiPlans?.[providerId]];
+  if (planUrl && getApiKeys()[providerId]) return planUrl;
+
+  return getProvider(providerId)?.baseUrl;
+}
+
+/**
+ * Get the headers that authenticate requests to a provider
+ */
+export function getAuthHeaders(providerId) {
+  const key = getApiKeys()[providerId];
+  const header = KEY_HEADERS[providerId]?.[getSettings().apiPlans?.[providerId] || 'demo'];
+  return key && header ? { [header]: key } : {};
+}
+
+/**
+ * Whether a provider's requests go through the CORS proxy
+ */
+export function isProxied(providerId) {
+  const { corsProxy, proxiedProviders } = getSettings();
+  return Boolean(corsProxy?.trim()) && proxiedProviders.includes(providerId);
+}
+
+/**
+ * Rewrite a request URL to go through the CORS proxy, if enabled for the provider
+ * The proxy is either a prefix (https://proxy.example/) or a template
+ * containing {url} (https://proxy.example/?url={url}).
+ */
+export function withProxy(providerId, url) {
+  if (!isProxied(providerId)) return url;
+
+  const proxy = getSettings().corsProxy.trim();
+  return proxy.includes(PROXY_URL_PLACEHOLDER)
+    ? proxy.replace(PROXY_URL_PLACEHOLDER, encodeURIComponent(url))
+    : `${proxy}${url}`;
+}
+
+/**
+ * Providers that accept an API key, with the plans they offer
+ */
+export function getKeyedProviders() {
+  return Object.keys(KEY_HEADERS).map(id => ({
+    id,
+    name: getProvider(id)?.name || id,
+    plans: Object.keys(KEY_HEADERS[id])
+  }));
+}
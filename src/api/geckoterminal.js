@@ -1,18 +1,30 @@
 // GeckoTerminal API service
 // Free tier: 30 calls/min, no API key needed
-// Historical OHLCV up to 6 months
+// Historical OHLCV: fixed ranges up to a year, "max" pages back to the pool's first candle
 
-import { startRateLimitWait } from './rateLimitState';
+import { registerProvider } from './providers';
+import { getSettings } from '../utils/storage';
+import { getNetworkId, getChainsForProvider } from '../data/chains';
+import { isAbortError } from './scheduler';
+import { providerFetch, isUnavailableError } from './http';
+import { getBaseUrl } from './endpoints';
+import { getResolution, candlesSince, DAY } from './resolution';
+import { resolveSupply, toSupplyPoint } from './supply';
 
 const BASE_URL = 'https://api.geckoterminal.com/api/v2';
 
-// Map our platform names to GeckoTerminal network IDs
-const NETWORK_MAP = {
-  'ethereum': 'eth',
-  'base': 'base',
-  'solana': 'solana'
+// GeckoTerminal OHLCV timeframe/aggregate for each resolution
+const TIMEFRAMES = {
+  '15m': { timeframe: 'minute', aggregate: 15 },
+  '1h': { timeframe: 'hour', aggregate: 1 },
+  '4h': { timeframe: 'hour', aggregate: 4 },
+  '1d': { timeframe: 'day', aggregate: 1 }
 };
 
+const MAX_CANDLES = 366; // Max a year of daily candles for fixed ranges
+const PAGE_LIMIT = 1000; // Max candles per OHLCV request
+const MAX_PAGES = 10; // Safety cap when paging back through full history
+
 // Simple cache
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -29,65 +41,20 @@ function setCache(key, data) {
   cache.set(key, { data, timestamp: Date.now() });
 }
 
-// Rate limiting
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 2100; // ~28 requests/min to stay safe
-
-async function rateLimitedFetch(url, retryCount = 0) {
-  const MAX_RETRIES = 2;
-  const RATE_LIMIT_WAIT = 60; // seconds
-
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve =>
-      setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest)
-    );
-  }
-
-  lastRequestTime = Date.now();
-
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-
-    if (response.status === 429) {
-      if (retryCount >= MAX_RETRIES) {
-        console.warn('GeckoTerminal: Max retries reached after rate limiting');
-        return null;
-      }
-
-      console.warn(`GeckoTerminal rate limited, waiting ${RATE_LIMIT_WAIT}s... (retry ${retryCount + 1}/${MAX_RETRIES})`);
-      startRateLimitWait('GeckoTerminal', RATE_LIMIT_WAIT);
-      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_WAIT * 1000));
-      return rateLimitedFetch(url, retryCount + 1);
-    }
-
-    return response;
-  } catch (error) {
-    console.error('Fetch error:', error);
-    return null;
-  }
-}
-
 /**
  * Get token info including pools
  */
-export async function getTokenInfo(platform, contractAddress) {
-  const network = NETWORK_MAP[platform] || platform;
+export async function getTokenInfo(platform, contractAddress, options = {}) {
+  const network = getNetworkId(platform, 'geckoterminal');
   const cacheKey = `token_info_${network}_${contractAddress}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/networks/${network}/tokens/${contractAddress}`;
-    const response = await rateLimitedFetch(url);
+    const url = `${getBaseUrl('geckoterminal')}/networks/${network}/tokens/${contractAddress}`;
+    const response = await providerFetch('geckoterminal', url, options);
 
-    if (!response || !response.ok) {
+    if (!response.ok) {
       console.warn(`GeckoTerminal: No token info for ${contractAddress}`);
       return null;
     }
@@ -96,6 +63,7 @@ export async function getTokenInfo(platform, contractAddress) {
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`GeckoTerminal token info error:`, error);
     return null;
   }
@@ -104,17 +72,17 @@ export async function getTokenInfo(platform, contractAddress) {
 /**
  * Get pools for a token - returns list of pools trading this token
  */
-export async function getTokenPools(platform, contractAddress) {
-  const network = NETWORK_MAP[platform] || platform;
+export async function getTokenPools(platform, contractAddress, options = {}) {
+  const network = getNetworkId(platform, 'geckoterminal');
   const cacheKey = `token_pools_${network}_${contractAddress}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/networks/${network}/tokens/${contractAddress}/pools?page=1`;
-    const response = await rateLimitedFetch(url);
+    const url = `${getBaseUrl('geckoterminal')}/networks/${network}/tokens/${contractAddress}/pools?page=1`;
+    const response = await providerFetch('geckoterminal', url, options);
 
-    if (!response || !response.ok) {
+    if (!response.ok) {
       console.warn(`GeckoTerminal: No pools for ${contractAddress}`);
       return null;
     }
@@ -123,6 +91,7 @@ export async function getTokenPools(platform, contractAddress) {
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`GeckoTerminal pools error:`, error);
     return null;
   }
@@ -130,22 +99,28 @@ export async function getTokenPools(platform, contractAddress) {
 
 /**
  * Get OHLCV data for a pool
- * @param {string} network - Network ID (eth, base, solana)
+ * @param {string} network - GeckoTerminal network ID (see data/chains.js)
  * @param {string} poolAddress - Pool/pair address
  * @param {string} timeframe - 'day', 'hour', or 'minute'
  * @param {number} aggregate - Aggregation period (e.g., 1 for 1-day candles)
  * @param {number} limit - Number of candles (max 1000)
+ * @param {number} beforeTimestamp - Optional, only candles before this time (unix seconds)
+ * @param {Object} options - Scheduler options ({ priority, signal }), plus
+ *   tokenSide ('base' | 'quote') to price the pool's other token
  */
-export async function getPoolOHLCV(network, poolAddress, timeframe = 'day', aggregate = 1, limit = 180) {
-  const cacheKey = `ohlcv_${network}_${poolAddress}_${timeframe}_${aggregate}_${limit}`;
+export async function getPoolOHLCV(network, poolAddress, timeframe = 'day', aggregate = 1, limit = 180, beforeTimestamp = null, options = {}) {
+  const { tokenSide } = options;
+  const cacheKey = `ohlcv_${network}_${poolAddress}_${timeframe}_${aggregate}_${limit}_${beforeTimestamp}_${tokenSide}`;
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `${BASE_URL}/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=${limit}&currency=usd`;
-    const response = await rateLimitedFetch(url);
+    const beforeParam = beforeTimestamp ? `&before_timestamp=${beforeTimestamp}` : '';
+    const tokenParam = tokenSide ? `&token=${tokenSide}` : '';
+    const url = `${getBaseUrl('geckoterminal')}/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=${limit}&currency=usd${beforeParam}${tokenParam}`;
+    const response = await providerFetch('geckoterminal', url, options);
 
-    if (!response || !response.ok) {
+    if (!response.ok) {
       console.warn(`GeckoTerminal: No OHLCV for pool ${poolAddress}`);
       return null;
     }
@@ -154,40 +129,293 @@ export async function getPoolOHLCV(network, poolAddress, timeframe = 'day', aggr
     setCache(cacheKey, data);
     return data;
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`GeckoTerminal OHLCV error:`, error);
     return null;
   }
 }
 
+/**
+ * Page backwards through a pool's daily candles until its first candle
+ * @returns {Array|null} - OHLCV list, newest first (same order as the API)
+ */
+async function getFullPoolOHLCV(network, poolAddress, options = {}) {
+  let ohlcvList = [];
+  let before = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const pageData = await getPoolOHLCV(network, poolAddress, 'day', 1, PAGE_LIMIT, before, options);
+    const pageList = (pageData?.data?.attributes?.ohlcv_list || [])
+      .filter(([timestamp]) => !before || timestamp < before);
+
+    if (pageList.length === 0) break;
+    ohlcvList = ohlcvList.concat(pageList);
+
+    // A short page means we've reached the pool's first candle
+    if (pageList.length < PAGE_LIMIT - 1) break;
+    before = pageList[pageList.length - 1][0];
+  }
+
+  return ohlcvList.length > 0 ? ohlcvList : null;
+}
+
+/**
+ * Get the OHLCV list covering a range
+ * 'max' pages back through full history; `since` limits the request to
+ * candles newer than what's already stored.
+ * @returns {Array|null} - OHLCV list, newest first
+ */
+async function getRangeOHLCV(network, poolAddress, days, options = {}, since = null) {
+  if (options.window) {
+    return getWindowOHLCV(network, poolAddress, options);
+  }
+
+  const resolution = getResolution(days);
+  const { timeframe, aggregate } = TIMEFRAMES[resolution.id];
+
+  if (days === 'max' && !since) {
+    return getFullPoolOHLCV(network, poolAddress, options);
+  }
+
+  // (15-min candles for 1d, 1h for 7d, 4h for 30d, daily otherwise)
+  let limit = days === 'max'
+    ? PAGE_LIMIT
+    : Math.min(Math.ceil((days * DAY) / resolution.ms), MAX_CANDLES);
+  if (since) {
+    limit = Math.min(candlesSince(since, resolution), limit);
+  }
+
+  const ohlcvData = await getPoolOHLCV(network, poolAddress, timeframe, aggregate, limit, null, options);
+  return ohlcvData?.data?.attributes?.ohlcv_list || null;
+}
+
+/**
+ * Get the OHLCV list for a zoomed-in window at the window's resolution
+ * @param {Object} options.window - { from, to } in ms, and resolution (from RESOLUTIONS)
+ * @returns {Array|null} - OHLCV list, newest first
+ */
+async function getWindowOHLCV(network, poolAddress, options) {
+  const { from, to, resolution } = options.window;
+  const { timeframe, aggregate } = TIMEFRAMES[resolution.id];
+  const limit = Math.min(Math.ceil((to - from) / resolution.ms) + 1, PAGE_LIMIT);
+  const before = Math.min(Math.ceil(to / 1000), Math.floor(Date.now() / 1000));
+
+  const ohlcvData = await getPoolOHLCV(network, poolAddress, timeframe, aggregate, limit, before, options);
+  return ohlcvData?.data?.attributes?.ohlcv_list || null;
+}
+
+// Summary of a pool as listed on the token
+function describePool(pool, contractAddress) {
+  const attributes = pool.attributes || {};
+  const baseTokenId = pool.relationships?.base_token?.data?.id || '';
+  const isBase = baseTokenId.toLowerCase().endsWith(contractAddress.toLowerCase());
+
+  return {
+    address: attributes.address,
+    name: attributes.name,
+    dex: pool.relationships?.dex?.data?.id || null,
+    liquidity: parseFloat(attributes.reserve_in_usd || 0),
+    side: isBase ? 'base' : 'quote'
+  };
+}
+
+// Identifies how a series was priced, so top-ups don't mix pool settings
+function getPoolMode(poolCount, weighting) {
+  return poolCount > 1 ? `${poolCount}:${weighting}` : '1';
+}
+
+/**
+ * Build one OHLCV list from several pools
+ * Each candle is the weighted average of the pools' candles at that time,
+ * weighted by pool liquidity or by candle volume (falling back to liquidity
+ * when no pool traded). Volumes are summed.
+ * @param {Array} pools - From describePool()
+ * @param {string} weighting - 'liquidity' or 'volume'
+ * @returns {Array|null} - OHLCV list, newest first
+ */
+async function getWeightedOHLCV(network, pools, days, options, since, weighting) {
+  const lists = await Promise.all(pools.map(pool =>
+    getRangeOHLCV(network, pool.address, days, { ...options, tokenSide: pool.side }, since)
+  ));
+
+  const byTime = new Map();
+  lists.forEach((list, i) => {
+    (list || []).forEach(([timestamp, ...values]) => {
+      const [open, high, low, close, volume] = values.map(v => parseFloat(v) || 0);
+      const entry = byTime.get(timestamp) || {
+        volume: 0,
+        sums: { liquidity: [0, 0, 0, 0, 0], volume: [0, 0, 0, 0, 0] }
+      };
+      const weights = { liquidity: pools[i].liquidity, volume };
+
+      Object.entries(weights).forEach(([kind, weight]) => {
+        const sums = entry.sums[kind];
+        [open, high, low, close].forEach((price, j) => {
+          sums[j] += price * weight;
+        });
+        sums[4] += weight;
+      });
+      entry.volume += volume;
+      byTime.set(timestamp, entry);
+    });
+  });
+
+  if (byTime.size === 0) return null;
+
+  return [...byTime.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([timestamp, entry]) => {
+      const sums = weighting === 'volume' && entry.sums.volume[4] > 0
+        ? entry.sums.volume
+        : entry.sums.liquidity;
+      const total = sums[4] || 1;
+      return [timestamp, sums[0] / total, sums[1] / total, sums[2] / total, sums[3] / total, entry.volume];
+    });
+}
+
+/**
+ * Get the OHLCV list for the chosen pools (one pool, or a weighted blend)
+ * @returns {Array|null} - OHLCV list, newest first
+ */
+function getPoolsOHLCV(network, pools, days, options, since, weighting) {
+  if (pools.length === 1) {
+    return getRangeOHLCV(network, pools[0].address, days, { ...options, tokenSide: pools[0].side }, since);
+  }
+  return getWeightedOHLCV(network, pools, days, options, since, weighting);
+}
+
+// OHLCV list entry [timestamp, open, high, low, close, volume] -> prices
+function parseCandle([, open, high, low, close, volume]) {
+  return {
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume)
+  };
+}
+
+/**
+ * Fetch only the candles after `since` for pools we already know
+ * Reuses the stored pools and supply, so a top-up costs one request per pool.
+ */
+async function fetchGeckoTerminalIncrement(token, days, options) {
+  const { since, previous } = options;
+  const network = getNetworkId(token.platform, 'geckoterminal');
+  const { poolWeighting } = getSettings();
+  const pools = previous.pools || [{ address: previous.poolAddress }];
+
+  const ohlcvList = await getPoolsOHLCV(network, pools, days, options, since, poolWeighting);
+  if (!ohlcvList) return null;
+
+  const supply = {
+    circulatingSupply: previous.circulatingSupply,
+    totalSupply: previous.totalSupply,
+    estimated: previous.estimated
+  };
+  const data = ohlcvList
+    .map(candle => toSupplyPoint(candle[0] * 1000, parseCandle(candle), supply))
+    .filter(point => point.x >= since)
+    .sort((a, b) => a.x - b.x);
+
+  const lastPrice = parseFloat(ohlcvList[0]?.[4] || 0);
+
+  return {
+    ...token,
+    data,
+    currentMarketCap: data.length > 0 ? data[data.length - 1].y : previous.currentMarketCap,
+    currentPrice: lastPrice || previous.currentPrice,
+    poolAddress: previous.poolAddress,
+    pools: previous.pools,
+    poolMode: previous.poolMode,
+    ...supply,
+    currentFdv: previous.totalSupply && lastPrice ? lastPrice * previous.totalSupply : previous.currentFdv,
+    liquidity: previous.liquidity,
+    source: 'geckoterminal',
+    lastUpdated: Date.now()
+  };
+}
+
+/**
+ * Fetch finer candles for a zoomed-in window of the chart
+ * Needs the pools and supply stored by a full fetch (`options.previous`),
+ * so a window costs one request per pool.
+ * @param {Object} window - { from, to } in ms, and resolution (from RESOLUTIONS)
+ * @param {Object} options - Scheduler options, plus `previous` stored meta
+ */
+async function fetchGeckoTerminalWindow(token, window, options = {}) {
+  const { previous } = options;
+  const hasSupply = previous?.circulatingSupply > 0 || previous?.totalSupply > 0;
+  if (!previous?.poolAddress || !hasSupply) return null;
+
+  try {
+    const network = getNetworkId(token.platform, 'geckoterminal');
+    const { poolWeighting } = getSettings();
+    const pools = previous.pools || [{ address: previous.poolAddress }];
+
+    const ohlcvList = await getPoolsOHLCV(network, pools, null, { ...options, window }, null, poolWeighting);
+    if (!ohlcvList) return null;
+
+    const supply = {
+      circulatingSupply: previous.circulatingSupply,
+      totalSupply: previous.totalSupply,
+      estimated: previous.estimated
+    };
+    const data = ohlcvList
+      .map(candle => toSupplyPoint(candle[0] * 1000, parseCandle(candle), supply))
+      .filter(point => point.x >= window.from && point.x <= window.to)
+      .sort((a, b) => a.x - b.x);
+
+    return { ...token, data, ...supply, liquidity: previous.liquidity, source: 'geckoterminal' };
+  } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
+    console.error(`GeckoTerminal window error for ${token.symbol}:`, error);
+    return null;
+  }
+}
+
 /**
  * Fetch complete market cap data for a token
  * 1. Find the best pool for the token
  * 2. Get OHLCV data
- * 3. Calculate market cap from price * supply (or use FDV)
+ * 3. Calculate market cap from price * circulating supply (see supply.js)
+ * @param {Object} options
+ * @param {number} options.since - Last stored candle time (ms) for incremental fetches
+ * @param {Object} options.previous - Stored meta from the last full fetch
+ * @param {number} options.priority - Scheduler priority
+ * @param {AbortSignal} options.signal - Cancels pending requests
  */
-export async function fetchGeckoTerminalMarketCap(token, days = 30) {
-  const network = NETWORK_MAP[token.platform] || token.platform;
+export async function fetchGeckoTerminalMarketCap(token, days = 30, options = {}) {
+  const network = getNetworkId(token.platform, 'geckoterminal');
+  const { since, previous } = options;
+  const { geckoTerminalPools, poolWeighting } = getSettings();
+  const poolCount = Math.max(1, geckoTerminalPools || 1);
+  const poolMode = getPoolMode(poolCount, poolWeighting);
 
   try {
+    // Top-ups reuse the stored pools, unless the pool settings changed since
+    const hasSupply = previous?.circulatingSupply > 0 || previous?.totalSupply > 0;
+    if (since && previous?.poolAddress && hasSupply && previous.poolMode === poolMode) {
+      return await fetchGeckoTerminalIncrement(token, days, options);
+    }
+
     // Step 1: Get token info (includes FDV, market cap)
-    const tokenInfo = await getTokenInfo(token.platform, token.contract);
+    const tokenInfo = await getTokenInfo(token.platform, token.contract, options);
     const tokenData = tokenInfo?.data?.attributes;
 
     // Step 2: Get pools for this token
-    const poolsData = await getTokenPools(token.platform, token.contract);
+    const poolsData = await getTokenPools(token.platform, token.contract, options);
 
     if (!poolsData?.data || poolsData.data.length === 0) {
       console.warn(`No pools found for ${token.symbol}`);
       return null;
     }
 
-    // Find the pool with highest liquidity (most reliable data)
-    const pools = poolsData.data;
-    const bestPool = pools.reduce((best, pool) => {
-      const liquidity = parseFloat(pool.attributes?.reserve_in_usd || 0);
-      const bestLiquidity = parseFloat(best?.attributes?.reserve_in_usd || 0);
-      return liquidity > bestLiquidity ? pool : best;
-    }, pools[0]);
+    // Rank pools by liquidity (most reliable data first)
+    const rankedPools = [...poolsData.data].sort((a, b) =>
+      parseFloat(b.attributes?.reserve_in_usd || 0) - parseFloat(a.attributes?.reserve_in_usd || 0)
+    );
+    const bestPool = rankedPools[0];
 
     if (!bestPool) {
       console.warn(`No valid pool for ${token.symbol}`);
@@ -196,38 +424,29 @@ export async function fetchGeckoTerminalMarketCap(token, days = 30) {
 
     const poolAddress = bestPool.attributes?.address;
 
-    // Step 3: Determine timeframe based on days requested
-    let timeframe, aggregate, limit;
-    if (days <= 1) {
-      timeframe = 'minute';
-      aggregate = 15; // 15-min candles
-      limit = 96; // 24 hours
-    } else if (days <= 7) {
-      timeframe = 'hour';
-      aggregate = 1;
-      limit = Math.min(days * 24, 168);
-    } else if (days <= 30) {
-      timeframe = 'hour';
-      aggregate = 4; // 4-hour candles
-      limit = Math.min(days * 6, 180);
-    } else {
-      timeframe = 'day';
-      aggregate = 1;
-      limit = Math.min(days, 180); // Max 6 months
-    }
+    // Price from the top pool, or a weighted blend of the top N pools
+    const chosenPools = rankedPools
+      .slice(0, poolCount)
+      .map(pool => describePool(pool, token.contract));
 
-    // Step 4: Get OHLCV data
-    const ohlcvData = await getPoolOHLCV(network, poolAddress, timeframe, aggregate, limit);
+    // Step 3-4: Get OHLCV data at the resolution for the range
+    // ('max' pages back to the pool's first candle)
+    const ohlcvList = await getPoolsOHLCV(network, chosenPools, days, options, null, poolWeighting);
 
-    if (!ohlcvData?.data?.attributes?.ohlcv_list) {
+    if (!ohlcvList) {
       console.warn(`No OHLCV data for ${token.symbol}`);
       // Fall back to current market cap only
-      if (tokenData?.fdv_usd || tokenData?.market_cap_usd) {
-        const mcap = parseFloat(tokenData.market_cap_usd || tokenData.fdv_usd);
+      const mcap = parseFloat(tokenData?.market_cap_usd || 0);
+      const fdv = parseFloat(tokenData?.fdv_usd || 0);
+      if (mcap > 0 || fdv > 0) {
+        const point = { x: Date.now(), y: Math.round(mcap || fdv) };
+        if (fdv > 0) point.fdv = Math.round(fdv);
         return {
           ...token,
-          data: [{ x: Date.now(), y: Math.round(mcap) }],
-          currentMarketCap: mcap,
+          data: [point],
+          currentMarketCap: mcap || fdv,
+          currentFdv: fdv || null,
+          estimated: !mcap,
           source: 'geckoterminal',
           lastUpdated: Date.now()
         };
@@ -235,40 +454,52 @@ export async function fetchGeckoTerminalMarketCap(token, days = 30) {
       return null;
     }
 
-    // Step 5: Convert OHLCV to market cap data
-    // OHLCV format: [timestamp, open, high, low, close, volume]
-    const fdv = parseFloat(tokenData?.fdv_usd || 0);
-    const currentPrice = parseFloat(tokenData?.price_usd || bestPool.attributes?.base_token_price_usd || 0);
-
-    // Calculate supply from FDV and current price
-    const supply = currentPrice > 0 ? fdv / currentPrice : 0;
-
-    const ohlcvList = ohlcvData.data.attributes.ohlcv_list;
+    // Step 5: Work out supply from the token's current snapshot
+    // market_cap_usd is only set when GeckoTerminal knows the circulating supply
+    const poolPrice = chosenPools[0].side === 'quote'
+      ? bestPool.attributes?.quote_token_price_usd
+      : bestPool.attributes?.base_token_price_usd;
+    const currentPrice = parseFloat(tokenData?.price_usd || poolPrice || 0);
+    const supply = resolveSupply({
+      price: currentPrice,
+      marketCap: parseFloat(tokenData?.market_cap_usd || 0),
+      fdv: parseFloat(tokenData?.fdv_usd || 0),
+      totalSupply: parseFloat(tokenData?.normalized_total_supply || 0)
+    });
 
-    // Convert to market cap time series
-    const data = ohlcvList.map(candle => {
-      const [timestamp, open, high, low, close, volume] = candle;
-      // Use close price to calculate market cap
-      const price = parseFloat(close);
-      const marketCap = supply > 0 ? price * supply : price * 1e9; // Fallback estimate
+    if (!supply) {
+      console.warn(`No supply data for ${token.symbol}, can't compute market cap`);
+      return null;
+    }
 
-      return {
-        x: timestamp * 1000, // Convert to milliseconds
-        y: Math.round(marketCap)
-      };
-    }).sort((a, b) => a.x - b.x); // Sort chronologically
+    // Convert to market cap candles (prices * supply)
+    // OHLCV format: [timestamp, open, high, low, close, volume]
+    const data = ohlcvList
+      .map(candle => toSupplyPoint(candle[0] * 1000, parseCandle(candle), supply))
+      .sort((a, b) => a.x - b.x);
+
+    // Pool liquidity is only known now, so it goes on the latest candle
+    const liquidity = chosenPools.reduce((sum, pool) => sum + pool.liquidity, 0);
+    if (data.length > 0 && liquidity > 0) {
+      data[data.length - 1].liq = Math.round(liquidity);
+    }
 
     return {
       ...token,
       data,
-      currentMarketCap: fdv || (currentPrice * supply),
+      currentMarketCap: currentPrice * (supply.circulatingSupply || supply.totalSupply),
+      currentFdv: supply.totalSupply ? currentPrice * supply.totalSupply : null,
       currentPrice,
       poolAddress,
-      liquidity: parseFloat(bestPool.attributes?.reserve_in_usd || 0),
+      pools: chosenPools,
+      poolMode,
+      ...supply,
+      liquidity,
       source: 'geckoterminal',
       lastUpdated: Date.now()
     };
   } catch (error) {
+    if (isAbortError(error) || isUnavailableError(error)) throw error;
     console.error(`GeckoTerminal error for ${token.symbol}:`, error);
     return null;
   }
@@ -320,6 +551,23 @@ export function clearCache() {
  * Convert days to appropriate API params
  */
 export function daysToApiParam(days) {
-  if (days === null || days === 'max') return 180; // Max 6 months
-  return Math.min(days, 180);
+  // Full history (paged) for 'max' and anything past a fixed range's reach
+  if (days === null || days === 'max' || days > MAX_CANDLES) return 'max';
+  return days;
 }
+
+registerProvider({
+  id: 'geckoterminal',
+  name: 'GeckoTerminal',
+  baseUrl: BASE_URL,
+  capabilities: {
+    history: true,
+    chains: getChainsForProvider('geckoterminal'),
+    maxDays: null, // 'max' pages back through full history
+    rateLimit: { requestsPerMinute: 30, burst: 5 }
+  },
+  enabledByDefault: true,
+  fetchMarketCap: fetchGeckoTerminalMarketCap,
+  fetchWindow: fetchGeckoTerminalWindow,
+  clearCache
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { fetchGeckoTerminalMarketCap, daysToApiParam, clearCache } from './geckoterminal';
+import { isUnavailableError } from './http';
+import { getRateLimitState } from './rateLimitState';
+import { resetReplay } from './transport';
+import { useFixtureClock, settle, NOW, HOUR, DAY, TOKENS, POOLS } from '../test/fixtures';
+
+describe('fetchGeckoTerminalMarketCap', () => {
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+  beforeEach(() => {
+    vi.setSystemTime(NOW);
+    clearCache();
+    resetReplay();
+  });
+
+  it('converts the top pool candles to market cap', async () => {
+    const result = await settle(fetchGeckoTerminalMarketCap(TOKENS.jbm, 1));
+
+    expect(result).toMatchObject({
+      source: 'geckoterminal',
+      poolAddress: POOLS.jbm,
+      poolMode: '1',
+      totalSupply: 1.2e9,
+      estimated: false,
+      currentPrice: 0.0021
+    });
+    expect(result.circulatingSupply).toBeCloseTo(1e9);
+    expect(result.pools).toEqual([expect.objectContaining({ address: POOLS.jbm, side: 'base' })]);
+
+    const { data } = result;
+    expect(data).toHaveLength(6);
+    expect(data[0].x).toBe(NOW - DAY);
+    expect(data.map(point => point.x)).toEqual([...data.map(point => point.x)].sort((a, b) => a - b));
+    // Close 0.0021 at 1e9 circulating / 1.2e9 total supply, liquidity on the latest candle
+    expect(data[data.length - 1]).toMatchObject({ x: NOW, y: 2100000, fdv: 2520000, v: 42000, liq: 420001 });
+    expect(data[0].liq).toBeUndefined();
+  });
+
+  it('requests candles for the token side of the pool', async () => {
+    const result = await settle(fetchGeckoTerminalMarketCap(TOKENS.quote, 1));
+
+    expect(result.pools[0].side).toBe('quote');
+    expect(result.currentPrice).toBe(0.5);
+    // Priced from the quote token's candles (0.50), not WETH's (2500)
+    expect(result.data[result.data.length - 1].y).toBe(5000000);
+  });
+
+  it('tops up from the stored pools and supply', async () => {
+    const full = await settle(fetchGeckoTerminalMarketCap(TOKENS.jbm, 1));
+    const { data, ...previous } = full;
+    const since = data[data.length - 2].x;
+
+    vi.setSystemTime(NOW + HOUR);
+    clearCache();
+    const topUp = await settle(fetchGeckoTerminalMarketCap(TOKENS.jbm, 1, { since, previous }));
+
+    expect(topUp.data.every(point => point.x >= since)).toBe(true);
+    expect(topUp.data).toHaveLength(2);
+    expect(topUp.circulatingSupply).toBe(previous.circulatingSupply);
+    expect(topUp.pools).toEqual(previous.pools);
+  });
+
+  it('retries after a 429 and waits for the slow response', async () => {
+    const before = getRateLimitState().providers.geckoterminal?.rateLimited || 0;
+    const start = Date.now();
+
+    const result = await settle(fetchGeckoTerminalMarketCap(TOKENS.rate, 1));
+
+    expect(result.data).toHaveLength(3);
+    expect(result.currentMarketCap).toBeCloseTo(3000000);
+    // Retry-After: 2 plus the 1.5s response
+    expect(Date.now() - start).toBeGreaterThanOrEqual(3500);
+    expect(getRateLimitState().providers.geckoterminal.rateLimited).toBe(before + 1);
+  });
+
+  it('rejects with ProviderUnavailable when retries run out', async () => {
+    const error = await settle(fetchGeckoTerminalMarketCap(TOKENS.down, 1)).catch(err => err);
+    expect(isUnavailableError(error)).toBe(true);
+    expect(error.reason).toBe('HTTP 503');
+  });
+
+  it('returns null for a token it does not list', async () => {
+    expect(await settle(fetchGeckoTerminalMarketCap(TOKENS.gone, 1))).toBeNull();
+  });
+});
+
+describe('daysToApiParam', () => {
+  it('keeps fixed ranges up to a year and pages anything longer', () => {
+    expect(daysToApiParam(30)).toBe(30);
+    expect(daysToApiParam(365)).toBe(365);
+    expect(daysToApiParam(400)).toBe('max');
+    expect(daysToApiParam('max')).toBe('max');
+    expect(daysToApiParam(null)).toBe('max');
+  });
+});
@@ -0,0 +1,135 @@
+// Shared fetch layer for provider requests
+// Every request runs through the scheduler, and transient failures are
+// retried here instead of being reported as "no data":
+// - 429: wait for Retry-After (or back off exponentially) with the provider paused
+// - 5xx and network errors: retry with exponential backoff and jitter
+// - x-ratelimit-* headers announcing a spent budget pause the provider until reset
+// - 400, 401 and 403 (a bad or expired key, a plan that doesn't cover the
+//   host or range) aren't retried but reject straight away as unavailable
+// Other responses (including 404) are returned for the caller to parse.
+// When retries run out the request rejects with a ProviderUnavailable error,
+// so "the provider is down" can be told apart from "the token isn't there".
+// Note: browsers only expose Retry-After on CORS responses that allow it.
+// API keys and the CORS proxy (see endpoints.js) are applied here too.
+
+import { scheduleRequest, pauseProvider, delay, isAbortError } from './scheduler';
+import { startRateLimitWait } from './rateLimitState';
+import { getProvider } from './providers';
+import { getAuthHeaders, withProxy } from './endpoints';
+import { apiFetch } from './transport';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY = 1000; // ms, 5xx and network errors
+const RATE_LIMIT_BASE_DELAY = 15000; // ms, 429 without Retry-After
+const MAX_DELAY = 120000;
+// Refusals that retrying won't fix and that mustn't read as "no data"
+const REFUSED_STATUSES = [400, 401, 403];
+
+/**
+ * Check whether an error means a provider couldn't be reached
+ * (as opposed to it answering that it has no data)
+ */
+export function isUnavailableError(error) {
+  return error?.name === 'ProviderUnavailable';
+}
+
+function createUnavailableError(name, reason) {
+  const error = new Error(`${name} unavailable (${reason})`);
+  error.name = 'ProviderUnavailable';
+  error.reason = reason;
+  return error;
+}
+
+// Exponential backoff with jitter: base * 2^attempt, scaled to 50-100%
+function backoff(base, attempt) {
+  const ms = Math.min(MAX_DELAY, base * 2 ** attempt);
+  return Math.round(ms * (0.5 + Math.random() / 2));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_DELAY) : null;
+}
+
+// Time until a spent rate-limit budget resets (reset is epoch or delta seconds)
+function getRateLimitReset(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  if (remaining === null || Number(remaining) > 0 || !reset) return null;
+
+  const ms = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+  return ms > 0 ? Math.min(ms, MAX_DELAY) : null;
+}
+
+/**
+ * Fetch from a provider with scheduling, rate-limit handling and retries
+ * @param {string} providerId - Registered provider ID
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.priority - Scheduler priority
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @returns {Promise<Response>} - Any response but 400/401/403, 429 and 5xx
+ */
+export async function providerFetch(providerId, url, options = {}) {
+  const { headers, priority, signal } = options;
+  const name = getProvider(providerId)?.name || providerId;
+  const requestUrl = withProxy(providerId, url);
+  const requestHeaders = {
+    'Accept': 'application/json',
+    ...getAuthHeaders(providerId),
+    ...headers
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let reason;
+
+    try {
+      response = await scheduleRequest(
+        providerId,
+        () => apiFetch(requestUrl, { headers: requestHeaders, signal }),
+        { priority, signal }
+      );
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      reason = error.message || 'network error';
+    }
+
+    if (response) {
+      const resetMs = getRateLimitReset(response.headers);
+      if (resetMs) pauseProvider(providerId, resetMs);
+
+      if (REFUSED_STATUSES.includes(response.status)) {
+        console.warn(`${name}: request refused (HTTP ${response.status})`);
+        throw createUnavailableError(name, `HTTP ${response.status}`);
+      } else if (response.status === 429) {
+        reason = 'rate limited';
+      } else if (response.status >= 500) {
+        reason = `HTTP ${response.status}`;
+      } else {
+        return response;
+      }
+    }
+
+    if (attempt >= MAX_RETRIES) {
+      console.warn(`${name}: giving up after ${attempt + 1} attempts (${reason})`);
+      throw createUnavailableError(name, reason);
+    }
+
+    if (response?.status === 429) {
+      // The scheduler holds the retry (and everything else queued) until the pause ends
+      const waitMs = parseRetryAfter(response.headers.get('retry-after')) ?? backoff(RATE_LIMIT_BASE_DELAY, attempt);
+      console.warn(`${name} rate limited, retrying in ${Math.ceil(waitMs / 1000)}s (retry ${attempt + 1}/${MAX_RETRIES})`);
+      startRateLimitWait(providerId, Math.ceil(waitMs / 1000));
+      pauseProvider(providerId, waitMs);
+    } else {
+      const waitMs = backoff(BASE_DELAY, attempt);
+      console.warn(`${name}: ${reason}, retrying in ${waitMs}ms (retry ${attempt + 1}/${MAX_RETRIES})`);
+      await delay(waitMs, signal);
+    }
+  }
+}
@@ -0,0 +1,102 @@
+// In-flight request coalescing
+// Callers asking for the same work while it's still running share one
+// promise instead of starting a second network request. The shared work
+// is only cancelled once every caller has aborted.
+
+import { createAbortError } from './scheduler';
+
+const inflight = new Map();
+const listeners = new Set();
+
+let stats = {
+  saved: 0,
+  active: 0
+};
+
+export function getInflightStats() {
+  return { ...stats };
+}
+
+export function subscribe(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+function updateStats(changes) {
+  stats = { ...stats, ...changes, active: inflight.size };
+  listeners.forEach(cb => cb({ ...stats }));
+}
+
+/**
+ * Run a task, or join the identical one already in flight
+ * @param {string} key - Identifies the work (e.g. provider|token|range)
+ * @param {Function} task - (signal) => Promise, started only if nothing is in flight
+ * @param {AbortSignal} signal - This caller's signal; aborting detaches only this caller
+ * @returns {Promise} - The shared task's result
+ */
+export function coalesce(key, task, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  let entry = inflight.get(key);
+
+  if (entry) {
+    updateStats({ saved: stats.saved + 1 });
+  } else {
+    const controller = new AbortController();
+    entry = { controller, callers: 0, promise: null };
+    entry.promise = Promise.resolve()
+      .then(() => task(controller.signal))
+      .finally(() => {
+        if (inflight.get(key) === entry) {
+          inflight.delete(key);
+          updateStats({});
+        }
+      });
+    inflight.set(key, entry);
+    updateStats({});
+  }
+
+  const shared = entry;
+  shared.callers++;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      shared.callers--;
+
+      // Last caller gone - cancel the underlying request
+      if (shared.callers === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) {
+          inflight.delete(key);
+          updateStats({});
+        }
+      }
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      (value) => {
+        if (settled) return;
+        settled = true;
+        shared.callers--;
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        if (settled) return;
+        settled = true;
+        shared.callers--;
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
@@ -0,0 +1,43 @@
+// Live mode - polls current market cap from DexScreener
+// Each poll yields one point per token, which the chart appends to the
+// history it already has (see Chart.jsx). App drops a token's live points
+// when a fetch of its history succeeds, and all of them on a range change.
+
+import { fetchDexScreenerMarketCap } from './dexscreener';
+import { PRIORITY } from './scheduler';
+import { isUnavailableError } from './http';
+
+// Poll intervals offered in settings (seconds)
+export const LIVE_INTERVALS = [5, 15, 30, 60];
+
+// Live points kept per token (2 hours at 10s)
+export const MAX_LIVE_POINTS = 720;
+
+/**
+ * Poll the current market cap of tokens once
+ * @param {Array} tokens - Tokens to poll
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the poll; rejects with an AbortError
+ * @returns {Object} - { [tokenId]: point } for the tokens that answered
+ */
+export async function pollLiveMarketCaps(tokens, options = {}) {
+  const points = {};
+
+  await Promise.all(tokens.map(async token => {
+    try {
+      const result = await fetchDexScreenerMarketCap(token, {
+        priority: PRIORITY.USER,
+        signal: options.signal
+      });
+      const point = result?.data?.[0];
+      if (point) {
+        points[token.id] = { ...point, source: 'dexscreener', ...(result.estimated && { estimated: true }) };
+      }
+    } catch (error) {
+      // Skip this poll for the token; the next one will try again
+      if (!isUnavailableError(error)) throw error;
+    }
+  }));
+
+  return points;
+}
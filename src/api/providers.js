@@ -0,0 +1,74 @@
+// Market data provider registry
+// Each module in src/api/ registers itself here with a common interface,
+// and the orchestrator (coingecko.js) walks the configured chain per token.
+
+import { getSettings } from '../utils/storage';
+
+const providers = new Map();
+
+/**
+ * Register a market data provider
+ * @param {Object} provider
+ * @param {string} provider.id - Stable ID used in settings (e.g. 'geckoterminal')
+ * @param {string} provider.name - Display name
+ * @param {string} provider.baseUrl - Default API base URL (can be overridden in settings)
+ * @param {Object} provider.capabilities
+ * @param {boolean} provider.capabilities.history - false for current-only sources
+ * @param {string[]} provider.capabilities.chains - Supported platforms
+ * @param {number|null} provider.capabilities.maxDays - Max lookback (null = unlimited)
+ * @param {Object} provider.capabilities.rateLimit - { requestsPerMinute } (null = no limit)
+ * @param {boolean} provider.enabledByDefault - Whether it is in the default chain
+ * @param {boolean} [provider.needsProxy] - Blocked by CORS in the browser without a proxy
+ * @param {Function} provider.fetchMarketCap - (token, days) => result | null
+ * @param {Function} [provider.fetchWindow] - (token, { from, to, resolution }, options) =>
+ *   result | null - finer candles for a zoomed-in window
+ * @param {Function} [provider.clearCache]
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a registered provider by ID
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Get all registered providers, in registration order
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Default chain order: registration order, enabled-by-default providers only
+ */
+export function getDefaultProviderOrder() {
+  return getProviders()
+    .filter(p => p.enabledByDefault)
+    .map(p => p.id);
+}
+
+/**
+ * Get the configured provider order for a token (or the global order)
+ * Per-token overrides take precedence over the token's own default
+ * (e.g. built-in benchmarks), which takes precedence over the global setting.
+ */
+export function getProviderOrder(tokenId = null, tokenDefault = null) {
+  const settings = getSettings();
+  const tokenOrder = tokenId ? settings.tokenProviderOrder?.[tokenId] : null;
+  return tokenOrder || tokenDefault || settings.providerOrder || getDefaultProviderOrder();
+}
+
+/**
+ * Resolve the chain of providers to try for a token
+ * Unknown IDs and providers that don't support the token's chain are skipped
+ * (tokens without a chain, like built-in benchmarks, aren't filtered).
+ */
+export function getProviderChain(token) {
+  return getProviderOrder(token.id, token.providerOrder)
+    .map(id => providers.get(id))
+    .filter(p => p && (!token.platform || p.capabilities.chains.includes(token.platform)));
+}
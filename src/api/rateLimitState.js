@@ -1,15 +1,41 @@
-// Rate limit state manager for UI notifications
-// Allows API services to notify the UI when rate limiting occurs
+// Per-provider status store for UI notifications and diagnostics
+// API services report rate-limit cooldowns here, and the scheduler reports
+// every request it runs (outcome and latency) and how many are queued.
+// Each provider has its own cooldown, so one provider being rate limited
+// doesn't hide another's. The top-level isWaiting/message fields describe
+// the longest current cooldown for the rate-limit bar.
+
+import { getProvider } from './providers';
 
 const listeners = new Set();
 
-let currentState = {
+const IDLE_WAIT = {
   isWaiting: false,
   source: null,
   secondsRemaining: 0,
   message: null
 };
 
+const EMPTY_STATS = {
+  requests: 0,
+  successes: 0,
+  failures: 0,
+  rateLimited: 0,
+  totalLatency: 0,
+  avgLatency: 0,
+  cooldownRemaining: 0,
+  lastStatus: null,
+  lastError: null,
+  lastRequestAt: null
+};
+
+let currentState = {
+  ...IDLE_WAIT,
+  queueDepth: {},
+  totalQueued: 0,
+  providers: {}
+};
+
 let countdownInterval = null;
 
 export function getRateLimitState() {
@@ -25,50 +51,124 @@ function notify() {
   listeners.forEach(cb => cb({ ...currentState }));
 }
 
-export function startRateLimitWait(source, seconds, message = null) {
+function getStats(source) {
+  return currentState.providers[source] || EMPTY_STATS;
+}
+
+function setStats(source, changes) {
   currentState = {
+    ...currentState,
+    providers: {
+      ...currentState.providers,
+      [source]: { ...getStats(source), ...changes }
+    }
+  };
+}
+
+// Summarise the longest running cooldown for the rate-limit bar
+function updateWaitSummary() {
+  const [source, stats] = Object.entries(currentState.providers)
+    .filter(([, s]) => s.cooldownRemaining > 0)
+    .sort(([, a], [, b]) => b.cooldownRemaining - a.cooldownRemaining)[0] || [];
+
+  if (!source) {
+    currentState = { ...currentState, ...IDLE_WAIT };
+    return;
+  }
+
+  const name = getProvider(source)?.name || source;
+  currentState = {
+    ...currentState,
     isWaiting: true,
     source,
-    secondsRemaining: seconds,
-    message: message || `${source} rate limited, waiting ${seconds}s...`
+    secondsRemaining: stats.cooldownRemaining,
+    message: `${name} rate limited, waiting ${stats.cooldownRemaining}s...`
   };
+}
+
+// One ticker counts down every provider's cooldown
+function tick() {
+  Object.entries(currentState.providers).forEach(([source, stats]) => {
+    if (stats.cooldownRemaining > 0) {
+      setStats(source, { cooldownRemaining: stats.cooldownRemaining - 1 });
+    }
+  });
+  updateWaitSummary();
   notify();
 
-  // Clear any existing countdown
-  if (countdownInterval) {
+  if (!currentState.isWaiting) {
     clearInterval(countdownInterval);
+    countdownInterval = null;
   }
+}
+
+/**
+ * Start (or extend) a provider's rate-limit cooldown
+ * @param {string} source - Provider ID
+ * @param {number} seconds - Cooldown length
+ */
+export function startRateLimitWait(source, seconds) {
+  setStats(source, {
+    cooldownRemaining: Math.max(getStats(source).cooldownRemaining, seconds)
+  });
+  updateWaitSummary();
+  notify();
+
+  if (!countdownInterval) {
+    countdownInterval = setInterval(tick, 1000);
+  }
+}
 
-  // Start countdown
-  countdownInterval = setInterval(() => {
-    currentState.secondsRemaining--;
-    currentState.message = `${source} rate limited, waiting ${currentState.secondsRemaining}s...`;
-    notify();
-
-    if (currentState.secondsRemaining <= 0) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
-      currentState = {
-        isWaiting: false,
-        source: null,
-        secondsRemaining: 0,
-        message: null
-      };
-      notify();
+/**
+ * End a provider's cooldown early (or every provider's, without a source)
+ */
+export function clearRateLimitWait(source = null) {
+  Object.keys(currentState.providers).forEach(id => {
+    if (!source || id === source) {
+      setStats(id, { cooldownRemaining: 0 });
     }
-  }, 1000);
+  });
+  updateWaitSummary();
+  notify();
 }
 
-export function clearRateLimitWait() {
-  if (countdownInterval) {
-    clearInterval(countdownInterval);
-    countdownInterval = null;
-  }
+/**
+ * Record the outcome of one request to a provider (called by the scheduler)
+ * @param {string} source - Provider ID
+ * @param {Object} outcome
+ * @param {number} outcome.status - HTTP status (undefined if the request threw)
+ * @param {number} outcome.latency - Milliseconds from start to response
+ * @param {string} outcome.error - Error message for failed requests
+ */
+export function recordRequest(source, { status, latency, error = null }) {
+  const stats = getStats(source);
+  const ok = status >= 200 && status < 300;
+  const requests = stats.requests + 1;
+  const totalLatency = stats.totalLatency + latency;
+
+  setStats(source, {
+    requests,
+    successes: stats.successes + (ok ? 1 : 0),
+    failures: stats.failures + (ok ? 0 : 1),
+    rateLimited: stats.rateLimited + (status === 429 ? 1 : 0),
+    totalLatency,
+    avgLatency: Math.round(totalLatency / requests),
+    lastStatus: status ?? null,
+    lastError: ok ? stats.lastError : error || `HTTP ${status}`,
+    lastRequestAt: Date.now()
+  });
+  notify();
+}
+
+// Called by the scheduler whenever a provider's queue changes
+export function setQueueDepth(source, depth) {
+  if ((currentState.queueDepth[source] || 0) === depth) return;
+
+  const queueDepth = { ...currentState.queueDepth, [source]: depth };
   currentState = {
-    isWaiting: false,
-    source: null,
-    secondsRemaining: 0,
-    message: null
+    ...currentState,
+    queueDepth,
+    totalQueued: Object.values(queueDepth).reduce((sum, n) => sum + n, 0)
   };
   notify();
 }
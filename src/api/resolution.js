@@ -0,0 +1,50 @@
+// Candle resolutions shared by providers and the on-device series store
+// Each range maps to one resolution so cached series can be keyed by it.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+export const DAY = 24 * HOUR;
+
+// retainDays: the longest range using the resolution - stored series drop
+// older points (null = all of them)
+export const RESOLUTIONS = {
+  '15m': { id: '15m', ms: 15 * MINUTE, retainDays: 1 },
+  '1h': { id: '1h', ms: HOUR, retainDays: 7 },
+  '4h': { id: '4h', ms: 4 * HOUR, retainDays: 30 },
+  '1d': { id: '1d', ms: DAY, retainDays: null }
+};
+
+/**
+ * Pick the candle resolution for a range
+ * @param {number|string} days - Days of history requested, or 'max'
+ * @returns {Object} - Entry from RESOLUTIONS
+ */
+export function getResolution(days) {
+  if (days === 'max') return RESOLUTIONS['1d'];
+  if (days <= 1) return RESOLUTIONS['15m'];
+  if (days <= 7) return RESOLUTIONS['1h'];
+  if (days <= 30) return RESOLUTIONS['4h'];
+  return RESOLUTIONS['1d'];
+}
+
+/**
+ * Finer resolution for a zoomed-in view of a range
+ * The visible span picks a resolution the same way a range does.
+ * @param {number|string} days - Selected range
+ * @param {number} span - Visible time span (ms)
+ * @returns {Object|null} - Entry from RESOLUTIONS, or null when the view
+ *   isn't zoomed in past the range's own resolution
+ */
+export function getZoomResolution(days, span) {
+  const resolution = getResolution(span / DAY);
+  return resolution.ms < getResolution(days).ms ? resolution : null;
+}
+
+/**
+ * Number of candles needed to cover a span, plus one for the open candle
+ * @param {number} since - Timestamp (ms) of the last candle already held
+ * @param {Object} resolution - Entry from RESOLUTIONS
+ */
+export function candlesSince(since, resolution) {
+  return Math.max(1, Math.ceil((Date.now() - since) / resolution.ms) + 1);
+}
@@ -0,0 +1,203 @@
+// Central request scheduler
+// Runs requests for different providers in parallel while enforcing each
+// provider's own budget with a token bucket (capacity = burst size, refilled
+// at the provider's requests-per-minute rate). Queued requests are ordered
+// by priority so tokens shown on the chart load first.
+// Every request's outcome and latency is reported to rateLimitState.
+
+import { getProvider } from './providers';
+import { setQueueDepth, recordRequest } from './rateLimitState';
+
+// Error used when a request is cancelled through its AbortSignal
+export function createAbortError() {
+  return new DOMException('Request aborted', 'AbortError');
+}
+
+/**
+ * Check whether an error came from a cancelled request
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Wait for a while, rejecting with an AbortError if the signal fires first
+ */
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Upper bound on simultaneous requests to one provider, even if unlimited
+const MAX_CONCURRENT = 4;
+
+export const PRIORITY = {
+  BACKGROUND: 0,
+  ENABLED: 1,
+  USER: 2
+};
+
+const states = new Map();
+
+function getState(providerId) {
+  if (!states.has(providerId)) {
+    const rateLimit = getProvider(providerId)?.capabilities.rateLimit;
+    const capacity = rateLimit ? rateLimit.burst || 1 : Infinity;
+
+    states.set(providerId, {
+      capacity,
+      tokens: capacity,
+      refillPerMs: rateLimit ? rateLimit.requestsPerMinute / 60000 : 0,
+      lastRefill: Date.now(),
+      pausedUntil: 0,
+      queue: [],
+      active: 0,
+      timer: null
+    });
+  }
+  return states.get(providerId);
+}
+
+function refill(state) {
+  if (state.capacity === Infinity) return;
+  const now = Date.now();
+  state.tokens = Math.min(state.capacity, state.tokens + (now - state.lastRefill) * state.refillPerMs);
+  state.lastRefill = now;
+}
+
+// Wake up once the next token is available (or the pause ends)
+function scheduleWakeUp(providerId, state) {
+  if (state.timer) return;
+
+  const now = Date.now();
+  const untilToken = state.tokens >= 1 ? 0 : (1 - state.tokens) / state.refillPerMs;
+  const untilUnpaused = Math.max(0, state.pausedUntil - now);
+  const delay = Math.ceil(Math.max(untilToken, untilUnpaused));
+
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    drain(providerId);
+  }, delay);
+}
+
+function drain(providerId) {
+  const state = getState(providerId);
+  refill(state);
+
+  while (state.queue.length > 0 && state.active < MAX_CONCURRENT) {
+    if (Date.now() < state.pausedUntil || state.tokens < 1) {
+      scheduleWakeUp(providerId, state);
+      break;
+    }
+
+    const job = state.queue.shift();
+    state.tokens -= 1;
+    state.active++;
+    const startedAt = Date.now();
+
+    Promise.resolve()
+      .then(job.task)
+      .then(
+        response => {
+          recordRequest(providerId, { status: response?.status ?? 200, latency: Date.now() - startedAt });
+          return response;
+        },
+        error => {
+          if (!isAbortError(error)) {
+            recordRequest(providerId, { latency: Date.now() - startedAt, error: error.message });
+          }
+          throw error;
+        }
+      )
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        drain(providerId);
+      });
+  }
+
+  setQueueDepth(providerId, state.queue.length);
+}
+
+/**
+ * Queue a request for a provider
+ * @param {string} providerId - Registered provider ID (its rateLimit sets the budget)
+ * @param {Function} task - () => Promise, performs the actual request
+ * @param {Object} options
+ * @param {number} options.priority - Higher runs first (see PRIORITY)
+ * @param {AbortSignal} options.signal - Removes the request from the queue when aborted
+ * @returns {Promise} - Resolves/rejects with the task's result
+ */
+export function scheduleRequest(providerId, task, { priority = PRIORITY.BACKGROUND, signal } = {}) {
+  const state = getState(providerId);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      const index = state.queue.indexOf(job);
+      if (index !== -1) {
+        state.queue.splice(index, 1);
+        setQueueDepth(providerId, state.queue.length);
+        reject(createAbortError());
+      }
+    };
+
+    const job = {
+      task,
+      priority,
+      resolve: (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    // Keep the queue sorted by priority, FIFO within the same priority
+    const index = state.queue.findIndex(queued => queued.priority < priority);
+    if (index === -1) {
+      state.queue.push(job);
+    } else {
+      state.queue.splice(index, 0, job);
+    }
+
+    drain(providerId);
+  });
+}
+
+/**
+ * Stop sending requests to a provider for a while (e.g. after a 429)
+ * Queued requests stay queued and resume when the pause ends.
+ */
+export function pauseProvider(providerId, ms) {
+  const state = getState(providerId);
+  state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+  if (state.capacity !== Infinity) {
+    state.tokens = 0;
+  }
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  scheduleWakeUp(providerId, state);
+}
@@ -0,0 +1,60 @@
+// Token supply helpers for providers that chart price candles
+// Market cap uses circulating supply when a provider exposes it (directly or
+// as current market cap / price). When only the total supply is known the
+// market cap is the FDV and the result is flagged as estimated. Without
+// either there is no market cap - we never guess a supply.
+
+/**
+ * Work out circulating and total supply from a provider's current snapshot
+ * @param {Object} snapshot
+ * @param {number} snapshot.price - Current price in USD
+ * @param {number} snapshot.marketCap - Current circulating market cap
+ * @param {number} snapshot.fdv - Current fully diluted valuation
+ * @param {number} snapshot.circulatingSupply
+ * @param {number} snapshot.totalSupply
+ * @returns {Object|null} - { circulatingSupply, totalSupply, estimated }
+ */
+export function resolveSupply({ price, marketCap, fdv, circulatingSupply, totalSupply }) {
+  const valid = value => Number.isFinite(value) && value > 0;
+
+  const circulating = valid(circulatingSupply)
+    ? circulatingSupply
+    : valid(marketCap) && valid(price) ? marketCap / price : null;
+  const total = valid(totalSupply)
+    ? totalSupply
+    : valid(fdv) && valid(price) ? fdv / price : null;
+
+  if (!circulating && !total) return null;
+
+  return {
+    circulatingSupply: circulating,
+    totalSupply: total,
+    estimated: !circulating
+  };
+}
+
+/**
+ * Convert a price candle to a chart point in market-cap terms
+ * The close becomes `y`, open/high/low `o`/`h`/`l`, volume (USD) `v`,
+ * and the close at total supply `fdv`.
+ * @param {number} x - Time in ms
+ * @param {Object} candle - { open, high, low, close, volume } prices in USD
+ * @param {Object} supply - From resolveSupply
+ */
+export function toSupplyPoint(x, candle, supply) {
+  const marketSupply = supply.circulatingSupply || supply.totalSupply;
+  const point = {
+    x,
+    y: Math.round(candle.close * marketSupply),
+    o: Math.round(candle.open * marketSupply),
+    h: Math.round(candle.high * marketSupply),
+    l: Math.round(candle.low * marketSupply)
+  };
+  if (candle.volume > 0) {
+    point.v = Math.round(candle.volume);
+  }
+  if (supply.totalSupply) {
+    point.fdv = Math.round(candle.close * supply.totalSupply);
+  }
+  return point;
+}
@@ -0,0 +1,172 @@
+// Network transport for the API modules
+// Every provider request goes through apiFetch so development can run
+// against recorded fixtures instead of the live hosts. Set VITE_API_FIXTURES:
+//   record - fetch live and save each JSON response to fixtures/<provider>.json
+//            (needs the dev server, see vite.config.js)
+//   replay - answer only from fixtures/*.json, no network at all
+// A fixture is keyed by normalised request URL (see fixtureKey):
+// { status, body, delayMs, headers }, or { responses: [...] } replayed in
+// order with the last one repeating - e.g. a 429 followed by a slow 200 to
+// exercise the backoff path. The tests in src/api/*.test.js replay them.
+// Replay looks for the exact key first. Failing that, a fixture that only
+// differs in clock-dependent parameters answers (a key may also hold '*'
+// for those), as long as exactly one does - so recordings keep replaying
+// on later days, but a request never gets another range's response.
+
+import { createAbortError, delay } from './scheduler';
+
+const MODE = import.meta.env.VITE_API_FIXTURES || 'live';
+const RECORD_ENDPOINT = '/__fixtures';
+
+// Lazy so fixture files are only loaded (and bundled as separate chunks) when replaying
+const FIXTURE_FILES = import.meta.glob('/fixtures/*.json', { import: 'default' });
+
+// Fixture file per API host
+const FIXTURE_NAMES = {
+  'api.geckoterminal.com': 'geckoterminal',
+  'api.coingecko.com': 'coingecko',
+  'api.dexscreener.com': 'dexscreener',
+  'api.dexpaprika.com': 'dexpaprika'
+};
+
+// Query parameters whose values follow the clock (top-up candle counts and
+// day spans, paging/zoom cursors, start dates), masked for the fallback match
+const VOLATILE_PARAMS = ['limit', 'before_timestamp', 'start', 'days'];
+
+let fixturesPromise = null;
+// Times each URL has been replayed, to walk through `responses`
+const replayCounts = new Map();
+
+// The provider URL inside a CORS proxy URL - either appended to the proxy
+// or encoded into its {url} template (see endpoints.js)
+function unwrapProxy(url) {
+  const encoded = url.match(/https?%3A%2F%2F[^&#]*/i);
+  if (encoded) return decodeURIComponent(encoded[0]);
+  const nested = url.slice(1).search(/https?:\/\//);
+  return nested >= 0 ? url.slice(nested + 1) : url;
+}
+
+// Host, path and sorted query of a URL
+function normaliseUrl(target, mask) {
+  const query = [...target.searchParams.entries()]
+    .map(([name, value]) => `${name}=${mask && VOLATILE_PARAMS.includes(name) ? '*' : value}`)
+    .sort()
+    .join('&');
+  return `${target.host}${target.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Key a request URL for the fixture files
+ * The proxy and scheme are dropped and query parameters sorted, e.g.
+ * 'api.geckoterminal.com/api/v2/networks/base/pools/0x.../ohlcv/hour?aggregate=4&currency=usd&limit=42&token=base'
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {boolean} options.mask - Reduce volatile parameters to '*'
+ */
+export function fixtureKey(url, { mask = false } = {}) {
+  return normaliseUrl(new URL(unwrapProxy(url)), mask);
+}
+
+/**
+ * Find the fixture answering a request in one fixture file
+ * @param {Object} fixtures - A fixture file's entries by key
+ * @param {string} url - Request URL
+ * @returns {string|null} - The matching key; null if none, or if several
+ *   only match with volatile parameters masked
+ */
+export function findFixtureKey(fixtures, url) {
+  const key = fixtureKey(url);
+  if (fixtures?.[key]) return key;
+
+  const masked = fixtureKey(url, { mask: true });
+  const matches = Object.keys(fixtures || {})
+    .filter(candidate => normaliseUrl(new URL(`https://${candidate}`), true) === masked);
+  if (matches.length > 1) {
+    console.warn(`Several fixtures match ${key} (${matches.join(', ')}) - record this request`);
+    return null;
+  }
+  return matches[0] || null;
+}
+
+function getFixtureName(url) {
+  const host = new URL(unwrapProxy(url)).hostname;
+  return FIXTURE_NAMES[host] || host;
+}
+
+function loadFixtures() {
+  if (!fixturesPromise) {
+    fixturesPromise = Promise.all(
+      Object.entries(FIXTURE_FILES).map(async ([file, load]) => {
+        const name = file.split('/').pop().replace(/\.json$/, '');
+        return [name, await load()];
+      })
+    ).then(Object.fromEntries);
+  }
+  return fixturesPromise;
+}
+
+async function replay(url, init) {
+  const fixtures = (await loadFixtures())[getFixtureName(url)];
+  const key = findFixtureKey(fixtures, url);
+
+  if (!key) {
+    console.warn(`No fixture for ${fixtureKey(url)}`);
+    return new Response(null, { status: 404 });
+  }
+
+  const entry = fixtures[key];
+  const responses = entry.responses || [entry];
+  const count = replayCounts.get(key) || 0;
+  replayCounts.set(key, count + 1);
+  const fixture = responses[Math.min(count, responses.length - 1)];
+
+  if (fixture.delayMs) {
+    await delay(fixture.delayMs, init.signal);
+  }
+  if (init.signal?.aborted) throw createAbortError();
+
+  return new Response(fixture.body === undefined ? null : JSON.stringify(fixture.body), {
+    status: fixture.status || 200,
+    headers: { 'Content-Type': 'application/json', ...fixture.headers }
+  });
+}
+
+async function record(url, init) {
+  const response = await fetch(url, init);
+
+  try {
+    const body = await response.clone().json();
+    await fetch(RECORD_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: getFixtureName(url),
+        url: fixtureKey(url),
+        fixture: { status: response.status, body }
+      })
+    });
+  } catch (error) {
+    console.warn(`Could not record fixture for ${url}:`, error.message);
+  }
+
+  return response;
+}
+
+/**
+ * Start every fixture's response sequence from the top again
+ */
+export function resetReplay() {
+  replayCounts.clear();
+}
+
+/**
+ * fetch() for provider requests - live, recording or replaying fixtures
+ * @param {string} url - Request URL (normalised into the fixture key)
+ * @param {Object} init - fetch options (signal is honoured when replaying)
+ * @returns {Promise<Response>}
+ */
+export function apiFetch(url, init = {}) {
+  if (MODE === 'replay') return replay(url, init);
+  if (MODE === 'record') return record(url, init);
+  return fetch(url, init);
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { apiFetch, fixtureKey, findFixtureKey, resetReplay } from './transport';
+import { useFixtureClock, settle, NOW } from '../test/fixtures';
+
+const TOKEN_URL = `https://api.geckoterminal.com/api/v2/networks/base/tokens/0x${'1'.repeat(40)}`;
+const TOKEN_KEY = `api.geckoterminal.com/api/v2/networks/base/tokens/0x${'1'.repeat(40)}`;
+
+describe('fixtureKey', () => {
+  it('drops the scheme and sorts query parameters', () => {
+    expect(fixtureKey('https://api.coingecko.com/api/v3/coins/x/market_chart?vs_currency=usd&interval=daily'))
+      .toBe('api.coingecko.com/api/v3/coins/x/market_chart?interval=daily&vs_currency=usd');
+  });
+
+  it('keeps range parameters and masks them on request', () => {
+    const day = 'https://api.geckoterminal.com/api/v2/networks/base/pools/0xa/ohlcv/day?aggregate=1&limit=180&currency=usd&before_timestamp=1790000000';
+    expect(fixtureKey(day))
+      .toBe('api.geckoterminal.com/api/v2/networks/base/pools/0xa/ohlcv/day?aggregate=1&before_timestamp=1790000000&currency=usd&limit=180');
+    expect(fixtureKey(day, { mask: true }))
+      .toBe('api.geckoterminal.com/api/v2/networks/base/pools/0xa/ohlcv/day?aggregate=1&before_timestamp=*&currency=usd&limit=*');
+    expect(fixtureKey('https://api.dexpaprika.com/networks/base/pools/0xa/ohlcv?start=2026-10-11&limit=6&interval=4h', { mask: true }))
+      .toBe('api.dexpaprika.com/networks/base/pools/0xa/ohlcv?interval=4h&limit=*&start=*');
+  });
+
+  it('keys proxied requests by the provider URL', () => {
+    expect(fixtureKey(`https://proxy.example/${TOKEN_URL}`)).toBe(TOKEN_KEY);
+    expect(fixtureKey(`https://proxy.example/?url=${encodeURIComponent(TOKEN_URL)}&cache=0`)).toBe(TOKEN_KEY);
+  });
+});
+
+describe('findFixtureKey', () => {
+  const chart = days => `https://api.coingecko.com/api/v3/coins/x/market_chart?vs_currency=usd&days=${days}`;
+  const key = days => `api.coingecko.com/api/v3/coins/x/market_chart?days=${days}&vs_currency=usd`;
+
+  it('prefers the exact key over a masked match', () => {
+    const fixtures = { [key(1)]: {}, [key(30)]: {} };
+    expect(findFixtureKey(fixtures, chart(30))).toBe(key(30));
+    expect(findFixtureKey(fixtures, chart('max'))).toBe(null);
+  });
+
+  it('falls back to the one fixture that differs only in volatile parameters', () => {
+    expect(findFixtureKey({ [key(30)]: {} }, chart(2))).toBe(key(30));
+    expect(findFixtureKey({ [key('*')]: {} }, chart(2))).toBe(key('*'));
+    expect(findFixtureKey({ [key(30)]: {} }, chart(30).replace('usd', 'eur'))).toBe(null);
+  });
+});
+
+describe('apiFetch replay', () => {
+  beforeAll(useFixtureClock);
+  afterAll(() => vi.useRealTimers());
+  beforeEach(() => {
+    vi.setSystemTime(NOW);
+    resetReplay();
+  });
+
+  it('answers from the fixture files', async () => {
+    const response = await settle(apiFetch(TOKEN_URL));
+    expect(response.status).toBe(200);
+    expect((await response.json()).data.attributes.symbol).toBe('JBM');
+  });
+
+  it('replays a response sequence, repeating the last one', async () => {
+    const url = `https://api.geckoterminal.com/api/v2/networks/base/tokens/0x${'4'.repeat(40)}`;
+
+    const limited = await settle(apiFetch(url));
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('retry-after')).toBe('2');
+
+    const start = Date.now();
+    const slow = await settle(apiFetch(url));
+    expect(slow.status).toBe(200);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(1500);
+
+    expect((await settle(apiFetch(url))).status).toBe(200);
+  });
+
+  it('answers 404 for requests without a fixture', async () => {
+    const response = await settle(apiFetch('https://api.dexscreener.com/latest/dex/tokens/0xnothing'));
+    expect(response.status).toBe(404);
+  });
+
+  it('rejects a delayed response once aborted', async () => {
+    const url = `https://api.geckoterminal.com/api/v2/networks/base/tokens/0x${'4'.repeat(40)}`;
+    await settle(apiFetch(url));
+
+    const controller = new AbortController();
+    const pending = apiFetch(url, { signal: controller.signal });
+    controller.abort();
+    await expect(settle(pending)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
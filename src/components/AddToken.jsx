@@ -1,12 +1,7 @@
 import React, { useState } from 'react';
 import { generateRandomColor } from '../utils/storage';
 import { getTokenByContract, fetchTokenMarketCap } from '../api/coingecko';
-
-const PLATFORMS = [
-  { id: 'ethereum', name: 'Ethereum' },
-  { id: 'base', name: 'Base' },
-  { id: 'solana', name: 'Solana' }
-];
+import { CHAINS, getChain, isValidAddress } from '../data/chains';
 
 export default function AddToken({ isOpen, onClose, onAdd, existingTokenIds }) {
   const [contractAddress, setContractAddress] = useState('');
@@ -24,6 +19,10 @@ export default function AddToken({ isOpen, onClose, onAdd, existingTokenIds }) {
       setError('Please enter a contract address');
       return;
     }
+    if (!isValidAddress(platform, contractAddress.trim())) {
+      setError(`That doesn't look like a ${getChain(platform)?.name} address`);
+      return;
+    }
 
     setIsLoading(true);
     setError('');
@@ -113,8 +112,8 @@ export default function AddToken({ isOpen, onClose, onAdd, existingTokenIds }) {
             {/* Platform selector */}
             <div className="form-group">
               <label>Chain</label>
-              <div className="platform-selector">
-                {PLATFORMS.map(p => (
+              <div className="platform-selector chain-selector">
+                {CHAINS.map(p => (
                   <button
                     key={p.id}
                     type="button"
@@ -132,7 +131,7 @@ export default function AddToken({ isOpen, onClose, onAdd, existingTokenIds }) {
               <label>Contract Address</label>
               <input
                 type="text"
-                placeholder="0x... or token address"
+                placeholder={getChain(platform)?.addressFormat === 'solana' ? 'Token mint address' : '0x...'}
                 value={contractAddress}
                 onChange={e => setContractAddress(e.target.value)}
                 className="search-input"
@@ -1,35 +1,190 @@
 import React, { useEffect, useRef, useState, useMemo } from 'react';
-import { createChart, LineSeries, PriceScaleMode } from 'lightweight-charts';
-import { filterDataByRange, formatMarketCap, formatAxisLabel, TIME_RANGES } from '../data/mockData';
+import { createChart, createSeriesMarkers, LineSeries, CandlestickSeries, HistogramSeries, PriceScaleMode, LastPriceAnimationMode, MismatchDirection, LineStyle } from 'lightweight-charts';
+import { filterDataByRange, formatMarketCap, formatAxisLabel, formatRatio, formatRangeLabel, getRangeDays, getRangeWindow, isCustomRange, TIME_RANGES } from '../data/mockData';
+import { BENCHMARK_TOKENS } from '../data/tokens';
+import { getProvider } from '../api/providers';
+import { DAY } from '../api/resolution';
+import { mergeSeries, replaceWindow, ratioSeries } from '../utils/series';
+import { toLineData, toCandleData, toCandle, toVolumeData, toLiquidityData, toCandleVolumeData } from '../utils/chartData';
+import { sma, ema, bollinger, vwap, rsi, macd } from '../utils/indicators';
+import { toRawPoint } from '../utils/cleaning';
+import { alignSeries, getEntryAt, getLatestEntry } from '../utils/resample';
+import { composeChartImage, downloadCanvas } from '../utils/exportImage';
 
-export default function Chart({ tokens, selectedRange, onRangeChange }) {
-  const [isLogScale, setIsLogScale] = useState(false);
+const CANDLE_UP = '#22c55e';
+const CANDLE_DOWN = '#ef4444';
+// Volume bars: candle direction in candles mode, token colour (60% alpha) for lines
+const VOLUME_COLORS = { up: '#22c55e99', down: '#ef444499' };
+const VOLUME_ALPHA = '99';
+// Axis formats: market caps, or ratios to a benchmark (tiny minMove so
+// ratios like 0.0001x still get tick marks)
+const MCAP_FORMAT = { type: 'custom', formatter: formatAxisLabel, minMove: 0.01 };
+const RATIO_FORMAT = { type: 'custom', formatter: formatRatio, minMove: 1e-12 };
+
+// Price scale modes - '%' rebases every series to 0% at its first visible
+// point, and the chart re-rebases as the view scrolls or zooms
+const SCALE_MODES = {
+  auto: PriceScaleMode.Normal,
+  log: PriceScaleMode.Logarithmic,
+  percent: PriceScaleMode.Percentage
+};
+// Scale mode names for the exported image
+const SCALE_LABELS = { auto: 'linear', log: 'log', percent: '% change' };
+
+// Indicators: overlays are switched on per token (the focused token's
+// buttons), oscillators (own pane) are drawn for the focused token
+const OVERLAYS = [
+  { id: 'sma', label: 'sma', title: 'Simple moving average (20)' },
+  { id: 'ema', label: 'ema', title: 'Exponential moving average (50)' },
+  { id: 'bb', label: 'bb', title: 'Bollinger Bands (20, 2σ)' },
+  { id: 'vwap', label: 'vwap', title: 'Volume-weighted average price (needs volume)' }
+];
+const OSCILLATORS = [
+  { id: 'rsi', label: 'rsi', title: 'RSI (14)' },
+  { id: 'macd', label: 'macd', title: 'MACD (12, 26, 9)' }
+];
+const SMA_PERIOD = 20;
+const EMA_PERIOD = 50;
+const BB_PERIOD = 20;
+const BB_WIDTH = 2;
+const RSI_PERIOD = 14;
+const RSI_BANDS = [70, 30];
+const RSI_FORMAT = { type: 'custom', formatter: value => value.toFixed(0), minMove: 0.01 };
+
+// Markers on points the outlier cleaning adjusted, and where a series
+// goes quiet long enough for its grid slots to count as a gap
+const ADJUSTED_COLOR = '#f59e0b';
+const GAP_COLOR = '#f59e0b';
+// Main pane vs each sub-pane height
+const MAIN_PANE_STRETCH = 3;
+// Wait for zooming/scrolling to settle before reporting the visible window
+const ZOOM_DEBOUNCE_MS = 400;
+const NO_ZOOM = {};
+
+// Percent change of a value from the series' first visible point - the
+// base the '%' scale rebases to (null if there's nothing visible)
+function getVisibleChange(chart, series, value) {
+  const range = chart.timeScale().getVisibleLogicalRange();
+  if (!range) return null;
+  const first = series.dataByIndex(Math.ceil(range.from), MismatchDirection.NearestRight);
+  const base = first?.value ?? first?.close;
+  return base > 0 ? (value / base - 1) * 100 : null;
+}
+
+// Local date as a date input value (yyyy-mm-dd)
+function toDateInput(ms) {
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A token's points to plot: its series plus live points, with the zoomed
+// window swapped for finer candles when there are some
+function getPlotPoints(token, livePoints, zoomSeries) {
+  const points = mergeSeries(token.data, livePoints[token.id]);
+  return replaceWindow(points, zoomSeries[token.id]?.data);
+}
+
+export default function Chart({ tokens, selectedRange, onRangeChange, isLive, onLiveToggle, livePoints = {}, zoomSeries = NO_ZOOM, onZoom, benchmarkId, benchmark, onBenchmarkChange }) {
+  const [scaleMode, setScaleMode] = useState('auto');
+  // Which series to plot: circulating market cap or fully diluted valuation
+  const [valueField, setValueField] = useState('y');
+  // 'line' plots every enabled token, 'candles' one focused token
+  const [chartMode, setChartMode] = useState('line');
+  // Token the candles, oscillators and overlay buttons are for
+  const [focusedSymbol, setFocusedSymbol] = useState(null);
+  // Optional panes under the main chart
+  const [showVolume, setShowVolume] = useState(false);
+  const [showLiquidity, setShowLiquidity] = useState(false);
+  // Plot values as the provider sent them, outliers included
+  const [showRaw, setShowRaw] = useState(false);
+  // Overlay IDs switched on per token ({ [symbol]: { sma, ema, bb, vwap } })
+  // and oscillator IDs switched on (see OVERLAYS, OSCILLATORS)
+  const [overlays, setOverlays] = useState({});
+  const [oscillators, setOscillators] = useState({});
+  // Custom range picker: open state and the dates being edited (yyyy-mm-dd)
+  const [isPickingRange, setIsPickingRange] = useState(false);
+  const [customFrom, setCustomFrom] = useState(() => toDateInput(Date.now() - 30 * DAY));
+  const [customTo, setCustomTo] = useState(() => toDateInput(Date.now()));
   const chartContainerRef = useRef(null);
   const chartRef = useRef(null);
   const seriesMapRef = useRef(new Map());
+  // Sub-pane series by symbol
+  const volumeSeriesRef = useRef(new Map());
+  const liquiditySeriesRef = useRef(new Map());
+  // Indicator overlay and oscillator series
+  const indicatorSeriesRef = useRef([]);
+  // Points plotted per symbol (after raw/ratio), for indicators
+  const plottedDataRef = useRef({});
+  // Markers plugin per symbol (adjusted points)
+  const markersRef = useRef(new Map());
+  // Mode the current series were created for
+  const seriesModeRef = useRef(chartMode);
   const tooltipRef = useRef(null);
   const tokensRef = useRef([]);
+  const valueFieldRef = useRef(valueField);
+  const scaleModeRef = useRef(scaleMode);
+  // Benchmark points while in ratio mode (null = absolute values)
+  const benchmarkRef = useRef(null);
+  // Per-symbol map of chart time (seconds) -> original point (source, estimated flag)
+  const pointMapRef = useRef(new Map());
+  // Plotted series aligned onto one grid (see resample.js), so the tooltip
+  // has a value for every token at any time
+  const alignedRef = useRef(null);
+  // Live points by token ID, and each series' last bar (for update())
+  const livePointsRef = useRef(livePoints);
+  const lastBarRef = useRef(new Map());
+  // Kept current during render: the series effect runs before the live
+  // effect and must not redraw live points that were just dropped
+  livePointsRef.current = livePoints;
+  // Zoom series and range the current series were drawn with, the latest
+  // onZoom callback, and the pending visible-range report
+  const zoomSeriesRef = useRef(zoomSeries);
+  const rangeRef = useRef(selectedRange);
+  const onZoomRef = useRef(onZoom);
+  const zoomTimerRef = useRef(null);
 
   const enabledTokens = useMemo(() =>
     tokens.filter(t => t.enabled && t.data && t.data.length > 0),
     [tokens]
   );
 
+  // The token candles and oscillators are drawn for
+  const focusedToken = useMemo(() =>
+    enabledTokens.find(t => t.symbol === focusedSymbol) || enabledTokens[0] || null,
+    [enabledTokens, focusedSymbol]
+  );
+  const focusedOverlays = (focusedToken && overlays[focusedToken.symbol]) || {};
+
+  // Tokens with a series on the chart
+  const plottedTokens = useMemo(() => {
+    if (chartMode !== 'candles') return enabledTokens;
+    return focusedToken ? [focusedToken] : [];
+  }, [enabledTokens, chartMode, focusedToken]);
+
+  // Ratio mode plots every token divided by the benchmark's market cap
+  const benchmarkPoints = useMemo(() =>
+    benchmark?.data?.length > 0 ? benchmark.data : null,
+    [benchmark]
+  );
+  const benchmarkOptions = [...enabledTokens, ...BENCHMARK_TOKENS];
+  const benchmarkSymbol = benchmarkOptions.find(t => t.id === benchmarkId)?.symbol;
+
+  // Candle size of the zoomed-in window, if finer candles are shown
+  const zoomResolution = plottedTokens.map(t => zoomSeries[t.id]?.resolution).find(Boolean);
+
   // Keep tokens ref current for tooltip callback
   useEffect(() => {
-    tokensRef.current = enabledTokens;
-  }, [enabledTokens]);
-
-  // Convert data format from {x: ms, y: value} to {time: seconds, value}
-  const convertData = (data) => {
-    if (!data || data.length === 0) return [];
-    return data
-      .map(point => ({
-        time: Math.floor(point.x / 1000),
-        value: point.y
-      }))
-      .sort((a, b) => a.time - b.time);
-  };
+    tokensRef.current = plottedTokens;
+  }, [plottedTokens]);
+
+  useEffect(() => {
+    valueFieldRef.current = valueField;
+  }, [valueField]);
+
+  useEffect(() => {
+    onZoomRef.current = onZoom;
+  }, [onZoom]);
 
   // Initialize chart
   useEffect(() => {
@@ -61,12 +216,8 @@ export default function Chart({ tokens, selectedRange, onRangeChange }) {
           labelBackgroundColor: '#262626',
         },
       },
-      localization: {
-        priceFormatter: formatAxisLabel,
-      },
       rightPriceScale: {
         borderVisible: false,
-        mode: isLogScale ? PriceScaleMode.Logarithmic : PriceScaleMode.Normal,
       },
       timeScale: {
         borderVisible: false,
@@ -83,6 +234,8 @@ export default function Chart({ tokens, selectedRange, onRangeChange }) {
     });
 
     chartRef.current = chart;
+    // Sub-panes are removed along with their last series; the main pane stays
+    chart.panes()[0].setPreserveEmptyPane(true);
 
     // Setup tooltip
     chart.subscribeCrosshairMove((param) => {
@@ -103,14 +256,33 @@ export default function Chart({ tokens, selectedRange, onRangeChange }) {
 
       seriesMapRef.current.forEach((series, tokenSymbol) => {
         const data = param.seriesData.get(series);
-        if (data && data.value !== undefined) {
+        // Without a point at this exact time, use the token's last point
+        // at or before it (flagged as filled or a gap by its grid slot)
+        const aligned = alignedRef.current;
+        const entry = !data && aligned ? getEntryAt(aligned, tokenSymbol, param.time * 1000) : null;
+        const point = data ? pointMapRef.current.get(tokenSymbol)?.get(param.time) : entry?.point;
+        // Line data has a value, candle data a close
+        const value = data?.value ?? data?.close ?? point?.[valueFieldRef.current];
+        if (value !== undefined) {
+          const formatValue = benchmarkRef.current ? formatRatio : formatMarketCap;
+          const change = scaleModeRef.current === 'percent' ? getVisibleChange(chart, series, value) : null;
           const token = tokensRef.current.find(t => t.symbol === tokenSymbol);
           const color = token?.color || '#fff';
+          const sourceName = point?.source ? getProvider(point.source)?.name || point.source : null;
           tooltipContent.push(
             `<div style="display:flex;align-items:center;gap:6px;">
               <span style="width:8px;height:8px;border-radius:50%;background:${color};"></span>
               <span style="color:#737373;">${tokenSymbol}:</span>
-              <span style="color:#f5f5f5;">${formatMarketCap(data.value)}</span>
+              ${change !== null ? `<span style="color:${change >= 0 ? CANDLE_UP : CANDLE_DOWN};">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</span>` : ''}
+              <span style="color:${change !== null ? '#737373' : '#f5f5f5'};">${formatValue(value)}</span>
+              ${point?.benchmark ? `<span style="color:#737373;">${formatMarketCap(value * point.benchmark)}</span>` : ''}
+              ${entry?.filled ? `<span style="color:${entry.gap ? '#f59e0b' : '#525252'};font-size:11px;" title="No point in this slot - last value from ${new Date(point.x).toLocaleString('en-US')}">${entry.gap ? 'gap' : 'ffill'}</span>` : ''}
+              ${data?.open !== undefined ? `<span style="color:#525252;font-size:11px;">O ${formatValue(data.open)} H ${formatValue(data.high)} L ${formatValue(data.low)}</span>` : ''}
+              ${point?.v && volumeSeriesRef.current.has(tokenSymbol) ? `<span style="color:#525252;font-size:11px;">Vol ${formatMarketCap(point.v)}</span>` : ''}
+              ${point?.liq && liquiditySeriesRef.current.has(tokenSymbol) ? `<span style="color:#525252;font-size:11px;">Liq ${formatMarketCap(point.liq)}</span>` : ''}
+              ${point?.adjusted ? `<span style="color:${ADJUSTED_COLOR};font-size:11px;" title="Suppressed in the clean view (raw close ${formatMarketCap(point.raw.y)})">${point.adjusted} outlier</span>` : ''}
+              ${point?.estimated && valueFieldRef.current === 'y' ? '<span style="color:#f59e0b;font-size:11px;" title="Circulating supply unknown">est.</span>' : ''}
+              ${sourceName ? `<span style="color:#525252;font-size:11px;">${sourceName}</span>` : ''}
             </div>`
           );
         }
@@ -143,47 +315,112 @@ export default function Chart({ tokens, selectedRange, onRangeChange }) {
       }
     });
 
+    // Report the visible window once it settles, so finer candles can be
+    // fetched when zoomed in
+    chart.timeScale().subscribeVisibleTimeRangeChange(range => {
+      clearTimeout(zoomTimerRef.current);
+      if (!range) return;
+      zoomTimerRef.current = setTimeout(() => {
+        onZoomRef.current?.({
+          from: range.from * 1000,
+          to: range.to * 1000,
+          tokenIds: tokensRef.current.map(t => t.id)
+        });
+      }, ZOOM_DEBOUNCE_MS);
+    });
+
     return () => {
+      clearTimeout(zoomTimerRef.current);
       chart.remove();
       chartRef.current = null;
       seriesMapRef.current.clear();
+      volumeSeriesRef.current.clear();
+      liquiditySeriesRef.current.clear();
+      indicatorSeriesRef.current = [];
+      markersRef.current.clear();
+      pointMapRef.current.clear();
+      alignedRef.current = null;
+      lastBarRef.current.clear();
     };
   }, []);
 
-  // Update price scale mode when log toggle changes
+  // Update price scale mode when the scale toggle changes
   useEffect(() => {
+    scaleModeRef.current = scaleMode;
     if (!chartRef.current) return;
-    chartRef.current.applyOptions({
-      rightPriceScale: {
-        mode: isLogScale ? PriceScaleMode.Logarithmic : PriceScaleMode.Normal,
-      },
+    // Main pane only - volume and liquidity panes stay absolute
+    chartRef.current.priceScale('right', 0).applyOptions({
+      mode: SCALE_MODES[scaleMode],
     });
-  }, [isLogScale]);
+  }, [scaleMode]);
 
   // Update series when tokens or range changes
   useEffect(() => {
     if (!chartRef.current) return;
 
     const chart = chartRef.current;
-    const currentSymbols = new Set(enabledTokens.map(t => t.symbol));
+    const currentSymbols = new Set(plottedTokens.map(t => t.symbol));
+    // Switching between lines and candles rebuilds every series
+    const modeChanged = seriesModeRef.current !== chartMode;
+    seriesModeRef.current = chartMode;
+    // Swapping zoom candles in or out keeps the current view
+    const keepView = zoomSeriesRef.current !== zoomSeries && rangeRef.current === selectedRange;
+    const visibleRange = keepView ? chart.timeScale().getVisibleRange() : null;
+    zoomSeriesRef.current = zoomSeries;
+    rangeRef.current = selectedRange;
+    benchmarkRef.current = benchmarkPoints;
+    const priceFormat = benchmarkPoints ? RATIO_FORMAT : MCAP_FORMAT;
 
     // Remove series for disabled tokens
     seriesMapRef.current.forEach((series, symbol) => {
-      if (!currentSymbols.has(symbol)) {
+      if (modeChanged || !currentSymbols.has(symbol)) {
         chart.removeSeries(series);
         seriesMapRef.current.delete(symbol);
+        markersRef.current.delete(symbol);
+        pointMapRef.current.delete(symbol);
+        lastBarRef.current.delete(symbol);
       }
     });
 
     // Add or update series for enabled tokens
-    enabledTokens.forEach(token => {
-      const filteredData = filterDataByRange(token.data, selectedRange);
-      const chartData = convertData(filteredData);
+    const plottedData = {};
+    plottedTokens.forEach(token => {
+      const allData = getPlotPoints(token, livePointsRef.current, zoomSeries);
+      const rangeData = filterDataByRange(allData, selectedRange);
+      const shownData = showRaw ? rangeData.map(toRawPoint) : rangeData;
+      const filteredData = benchmarkPoints ? ratioSeries(shownData, benchmarkPoints) : shownData;
+      plottedData[token.symbol] = filteredData;
+      const chartData = chartMode === 'candles'
+        ? toCandleData(filteredData, valueField)
+        : toLineData(filteredData, valueField);
+      const lastBar = chartData[chartData.length - 1];
+      lastBarRef.current.set(token.symbol, {
+        time: lastBar?.time ?? 0,
+        close: lastBar?.close ?? lastBar?.value ?? null
+      });
+      pointMapRef.current.set(
+        token.symbol,
+        new Map(filteredData.map(point => [Math.floor(point.x / 1000), point]))
+      );
 
       if (seriesMapRef.current.has(token.symbol)) {
         // Update existing series
         const series = seriesMapRef.current.get(token.symbol);
+        series.applyOptions({ priceFormat });
+        series.setData(chartData);
+      } else if (chartMode === 'candles') {
+        const series = chart.addSeries(CandlestickSeries, {
+          upColor: CANDLE_UP,
+          downColor: CANDLE_DOWN,
+          wickUpColor: CANDLE_UP,
+          wickDownColor: CANDLE_DOWN,
+          borderVisible: false,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          priceFormat,
+        });
         series.setData(chartData);
+        seriesMapRef.current.set(token.symbol, series);
       } else {
         // Create new series
         const series = chart.addSeries(LineSeries, {
@@ -195,47 +432,539 @@ export default function Chart({ tokens, selectedRange, onRangeChange }) {
           crosshairMarkerBackgroundColor: '#0a0a0a',
           priceLineVisible: false,
           lastValueVisible: false,
+          lastPriceAnimation: isLive ? LastPriceAnimationMode.Continuous : LastPriceAnimationMode.Disabled,
+          priceFormat,
         });
         series.setData(chartData);
         seriesMapRef.current.set(token.symbol, series);
       }
+
+      if (!markersRef.current.has(token.symbol)) {
+        markersRef.current.set(token.symbol, createSeriesMarkers(seriesMapRef.current.get(token.symbol)));
+      }
+    });
+
+    plottedDataRef.current = plottedData;
+    alignedRef.current = alignSeries(plottedData, getRangeDays(selectedRange));
+
+    // Mark the points cleaning adjusted (in either view), and the last point
+    // before each gap on the grid
+    plottedTokens.forEach(token => {
+      const points = plottedData[token.symbol];
+      const entries = alignedRef.current.series[token.symbol];
+      const adjusted = points
+        .filter(point => point.adjusted && point[valueField] > 0)
+        .map(point => ({
+          time: Math.floor(point.x / 1000),
+          position: 'aboveBar',
+          shape: 'circle',
+          color: ADJUSTED_COLOR,
+          size: 0.5,
+        }));
+      const gaps = entries
+        .filter((entry, i) => entry?.gap && !entries[i - 1]?.gap && entry.point[valueField] > 0)
+        .map(entry => ({
+          time: Math.floor(entry.point.x / 1000),
+          position: 'belowBar',
+          shape: 'square',
+          color: GAP_COLOR,
+          size: 0.5,
+          text: 'gap',
+        }));
+      markersRef.current.get(token.symbol).setMarkers(
+        [...adjusted, ...gaps].sort((a, b) => a.time - b.time)
+      );
     });
 
     // Fit content after updates
-    chart.timeScale().fitContent();
-  }, [enabledTokens, selectedRange]);
+    if (visibleRange) {
+      chart.timeScale().setVisibleRange(visibleRange);
+    } else {
+      chart.timeScale().fitContent();
+    }
+  }, [plottedTokens, selectedRange, valueField, chartMode, showRaw, zoomSeries, benchmarkPoints]);
+
+  // Volume and liquidity panes (sharing the main chart's time scale and
+  // crosshair). They're rebuilt whenever the plotted data changes; each pane
+  // is only added when there is data for it.
+  useEffect(() => {
+    if (!chartRef.current) return;
+
+    const chart = chartRef.current;
+    [volumeSeriesRef, liquiditySeriesRef].forEach(ref => {
+      ref.current.forEach(series => chart.removeSeries(series));
+      ref.current.clear();
+    });
+    const rangedPoints = plottedTokens.map(token => ({
+      token,
+      points: filterDataByRange(getPlotPoints(token, livePointsRef.current, zoomSeries), selectedRange)
+    }));
+    let paneIndex = 1;
+
+    if (showVolume) {
+      rangedPoints.forEach(({ token, points }) => {
+        const data = toVolumeData(points, chartMode === 'candles' ? VOLUME_COLORS : null);
+        if (data.length === 0) return;
+        const series = chart.addSeries(HistogramSeries, {
+          color: `${token.color}${VOLUME_ALPHA}`,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          priceFormat: MCAP_FORMAT,
+        }, paneIndex);
+        series.setData(data);
+        volumeSeriesRef.current.set(token.symbol, series);
+      });
+      if (volumeSeriesRef.current.size > 0) paneIndex++;
+    }
+
+    if (showLiquidity) {
+      rangedPoints.forEach(({ token, points }) => {
+        const data = toLiquidityData(points);
+        if (data.length === 0) return;
+        // Liquidity is a snapshot per fetch or live poll, so mark each one
+        const series = chart.addSeries(LineSeries, {
+          color: token.color,
+          lineWidth: 1,
+          pointMarkersVisible: true,
+          pointMarkersRadius: 2,
+          crosshairMarkerVisible: false,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          priceFormat: MCAP_FORMAT,
+        }, paneIndex);
+        series.setData(data);
+        liquiditySeriesRef.current.set(token.symbol, series);
+      });
+    }
+  }, [plottedTokens, selectedRange, chartMode, showVolume, showLiquidity, zoomSeries, valueField, showRaw, benchmarkPoints]);
+
+  // Pulse the last point of every line while live (candles have no animation)
+  useEffect(() => {
+    if (chartMode !== 'line') return;
+    seriesMapRef.current.forEach(series => {
+      series.applyOptions({
+        lastPriceAnimation: isLive ? LastPriceAnimationMode.Continuous : LastPriceAnimationMode.Disabled,
+      });
+    });
+  }, [isLive, chartMode]);
+
+  // Append new live points in place - update() keeps the zoom and scroll
+  // position, unlike setData()
+  useEffect(() => {
+    // A custom range that ended in the past has no room for live points
+    const windowEnd = getRangeWindow(selectedRange)?.to;
+
+    plottedTokens.forEach(token => {
+      const series = seriesMapRef.current.get(token.symbol);
+      const points = livePoints[token.id];
+      const latest = points?.[points.length - 1];
+      // In ratio mode live points are divided by the benchmark's latest value
+      const point = latest && benchmarkRef.current ? ratioSeries([latest], benchmarkRef.current)[0] : latest;
+      if (!series || !point || !(point[valueField] > 0)) return;
+      if (windowEnd && point.x > windowEnd) return;
+
+      // update() can only replace the last bar or add a newer one
+      const time = Math.floor(point.x / 1000);
+      const lastBar = lastBarRef.current.get(token.symbol);
+      if (time < (lastBar?.time ?? 0)) return;
+
+      if (chartMode === 'candles') {
+        const candle = toCandle(point, valueField, lastBar?.close);
+        series.update(candle);
+        lastBarRef.current.set(token.symbol, { time, close: candle.close });
+      } else {
+        series.update({ time, value: point[valueField] });
+        lastBarRef.current.set(token.symbol, { time, close: point[valueField] });
+      }
+      if (point.liq > 0) {
+        liquiditySeriesRef.current.get(token.symbol)?.update({ time, value: point.liq });
+      }
+      pointMapRef.current.get(token.symbol)?.set(time, point);
+      plottedDataRef.current[token.symbol] = mergeSeries(plottedDataRef.current[token.symbol], [point]);
+    });
+    // Keep the grid (tooltip, export) in step with the live bars
+    alignedRef.current = alignSeries(plottedDataRef.current, getRangeDays(selectedRange));
+  }, [livePoints]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Indicator overlays and oscillator panes, computed from the plotted
+  // points (live points included, see above), so they follow every update.
+  // Oscillator panes go under the volume and liquidity panes.
+  useEffect(() => {
+    if (!chartRef.current) return;
+
+    const chart = chartRef.current;
+    indicatorSeriesRef.current.forEach(series => chart.removeSeries(series));
+    indicatorSeriesRef.current = [];
+
+    const mainFormat = benchmarkPoints ? RATIO_FORMAT : MCAP_FORMAT;
+    const addIndicator = (type, data, options, pane) => {
+      if (data.length === 0) return null;
+      const series = chart.addSeries(type, {
+        lineWidth: 1,
+        crosshairMarkerVisible: false,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        priceFormat: mainFormat,
+        ...options,
+      }, pane);
+      series.setData(data);
+      indicatorSeriesRef.current.push(series);
+      return series;
+    };
+
+    plottedTokens.forEach(token => {
+      const points = plottedDataRef.current[token.symbol] || [];
+      const lineData = toLineData(points, valueField);
+      const tokenOverlays = overlays[token.symbol] || {};
+      if (tokenOverlays.sma) {
+        addIndicator(LineSeries, sma(lineData, SMA_PERIOD), { color: token.color, lineStyle: LineStyle.Dashed }, 0);
+      }
+      if (tokenOverlays.ema) {
+        addIndicator(LineSeries, ema(lineData, EMA_PERIOD), { color: token.color, lineStyle: LineStyle.Dotted }, 0);
+      }
+      if (tokenOverlays.bb) {
+        const bands = bollinger(lineData, BB_PERIOD, BB_WIDTH);
+        [bands.upper, bands.lower].forEach(band => {
+          addIndicator(LineSeries, band, { color: `${token.color}${VOLUME_ALPHA}` }, 0);
+        });
+      }
+      if (tokenOverlays.vwap) {
+        addIndicator(LineSeries, vwap(toCandleVolumeData(points, valueField)), {
+          color: token.color,
+          lineWidth: 2,
+          lineStyle: LineStyle.LargeDashed,
+        }, 0);
+      }
+    });
+
+    let paneIndex = 1 + (volumeSeriesRef.current.size > 0 ? 1 : 0) + (liquiditySeriesRef.current.size > 0 ? 1 : 0);
+
+    const focusedData = focusedToken
+      ? toLineData(plottedDataRef.current[focusedToken.symbol] || [], valueField)
+      : [];
+
+    if (oscillators.rsi) {
+      const series = addIndicator(LineSeries, rsi(focusedData, RSI_PERIOD), {
+        color: focusedToken?.color,
+        priceFormat: RSI_FORMAT,
+      }, paneIndex);
+      if (series) {
+        RSI_BANDS.forEach(price => series.createPriceLine({
+          price,
+          color: '#525252',
+          lineWidth: 1,
+          lineStyle: LineStyle.Dashed,
+          axisLabelVisible: false,
+        }));
+        paneIndex++;
+      }
+    }
+
+    if (oscillators.macd) {
+      const { macd: line, signal, histogram } = macd(focusedData);
+      // MACD goes negative, which the axis formats don't handle
+      const macdFormat = {
+        ...mainFormat,
+        formatter: value => `${value < 0 ? '-' : ''}${mainFormat.formatter(Math.abs(value))}`,
+      };
+      const series = addIndicator(HistogramSeries, histogram.map(bar => ({
+        ...bar,
+        color: bar.value >= 0 ? VOLUME_COLORS.up : VOLUME_COLORS.down,
+      })), { priceFormat: macdFormat }, paneIndex);
+      if (series) {
+        addIndicator(LineSeries, line, { color: focusedToken.color, priceFormat: macdFormat }, paneIndex);
+        addIndicator(LineSeries, signal, { color: '#737373', priceFormat: macdFormat }, paneIndex);
+        paneIndex++;
+      }
+    }
+
+    chart.panes().forEach((pane, i) => pane.setStretchFactor(i === 0 ? MAIN_PANE_STRETCH : 1));
+  }, [plottedTokens, selectedRange, chartMode, showVolume, showLiquidity, zoomSeries, valueField, showRaw, benchmarkPoints, overlays, oscillators, focusedToken, livePoints]);
+
+  // A custom range runs from the start of its first day to the end of its last
+  const handleCustomRange = (e) => {
+    e.preventDefault();
+    const from = new Date(`${customFrom}T00:00`).getTime();
+    const to = new Date(`${customTo}T23:59:59.999`).getTime();
+    if (!(from < to)) return;
+    setIsPickingRange(false);
+    onRangeChange({ from, to });
+  };
+
+  // Download the chart as a PNG with logo, legend and the view's settings
+  const handleExport = async () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+
+    const formatValue = benchmarkPoints ? formatRatio : formatMarketCap;
+    // Every token's value as of the grid's last slot, so the legend
+    // compares the same moment (a token that has gone quiet says since when)
+    const legend = plottedTokens.flatMap(token => {
+      const entry = getLatestEntry(alignedRef.current, token.symbol);
+      const point = entry?.point;
+      const value = point?.[valueField];
+      if (!(value > 0)) return [];
+      // Ratio points also carry the market cap they were divided from
+      const label = point.benchmark
+        ? `${token.symbol} ${formatValue(value)} (${formatMarketCap(value * point.benchmark)})`
+        : `${token.symbol} ${formatValue(value)}`;
+      const since = entry.gap ? ` · last ${new Date(point.x).toLocaleDateString('en-US')}` : '';
+      return [{ color: token.color, label: label + since }];
+    });
+    const rangeLabel = isCustomRange(selectedRange)
+      ? formatRangeLabel(selectedRange)
+      : TIME_RANGES.find(range => range.days === selectedRange)?.label;
+    const details = [
+      rangeLabel,
+      `${SCALE_LABELS[scaleMode]} scale`,
+      valueField === 'fdv' ? 'FDV' : 'market cap',
+      benchmarkPoints && `vs ${benchmark.symbol}`,
+      chartMode === 'candles' && 'candles'
+    ].filter(Boolean).join(' · ');
+
+    try {
+      const image = await composeChartImage(chart.takeScreenshot(), {
+        width: chartContainerRef.current.clientWidth,
+        title: 'Jungle Bay Island',
+        details,
+        legend,
+        logoSrc: `${import.meta.env.BASE_URL}logo.png`
+      });
+      downloadCanvas(image, `jungle-bay-island-${toDateInput(Date.now())}.png`);
+    } catch (err) {
+      console.error('Chart export failed:', err);
+    }
+  };
 
   return (
     <div className="chart-wrapper">
       <div className="chart-controls">
         <div className="chart-control-group">
           <button
-            className={`chart-control-btn ${!isLogScale ? 'active' : ''}`}
-            onClick={() => setIsLogScale(false)}
+            className={`chart-control-btn ${scaleMode === 'auto' ? 'active' : ''}`}
+            onClick={() => setScaleMode('auto')}
           >
             auto
           </button>
           <button
-            className={`chart-control-btn ${isLogScale ? 'active' : ''}`}
-            onClick={() => setIsLogScale(true)}
+            className={`chart-control-btn ${scaleMode === 'log' ? 'active' : ''}`}
+            onClick={() => setScaleMode('log')}
           >
             log
           </button>
+          <button
+            className={`chart-control-btn ${scaleMode === 'percent' ? 'active' : ''}`}
+            onClick={() => setScaleMode('percent')}
+            title="Change since the first visible point"
+          >
+            %
+          </button>
+        </div>
+        <div className="chart-control-group">
+          <button
+            className={`chart-control-btn ${chartMode === 'line' ? 'active' : ''}`}
+            onClick={() => setChartMode('line')}
+          >
+            line
+          </button>
+          <button
+            className={`chart-control-btn ${chartMode === 'candles' ? 'active' : ''}`}
+            onClick={() => setChartMode('candles')}
+            title="Candlesticks for one token"
+          >
+            candles
+          </button>
+        </div>
+        {enabledTokens.length > 1 && (
+          <select
+            className="chart-focus-select"
+            value={focusedToken?.symbol || ''}
+            onChange={e => setFocusedSymbol(e.target.value)}
+            title="Token for candles, oscillators and the overlay buttons"
+          >
+            {enabledTokens.map(t => {
+              // List each token's overlays so they're visible from any focus
+              const shown = OVERLAYS.filter(overlay => overlays[t.symbol]?.[overlay.id]);
+              return (
+                <option key={t.symbol} value={t.symbol}>
+                  {shown.length > 0 ? `${t.symbol} · ${shown.map(o => o.label).join(' ')}` : t.symbol}
+                </option>
+              );
+            })}
+          </select>
+        )}
+        <div className="chart-control-group">
+          <button
+            className={`chart-control-btn ${!showRaw ? 'active' : ''}`}
+            onClick={() => setShowRaw(false)}
+            title="Outlier candles suppressed (marked)"
+          >
+            clean
+          </button>
+          <button
+            className={`chart-control-btn ${showRaw ? 'active' : ''}`}
+            onClick={() => setShowRaw(true)}
+            title="Data as the provider reported it"
+          >
+            raw
+          </button>
+        </div>
+        <div className="chart-control-group">
+          {OVERLAYS.map(overlay => (
+            <button
+              key={overlay.id}
+              className={`chart-control-btn ${focusedOverlays[overlay.id] ? 'active' : ''}`}
+              onClick={() => setOverlays(prev => ({
+                ...prev,
+                [focusedToken.symbol]: { ...prev[focusedToken.symbol], [overlay.id]: !focusedOverlays[overlay.id] }
+              }))}
+              disabled={!focusedToken}
+              title={focusedToken ? `${overlay.title} for ${focusedToken.symbol}` : overlay.title}
+            >
+              {overlay.label}
+            </button>
+          ))}
+          {OSCILLATORS.map(oscillator => (
+            <button
+              key={oscillator.id}
+              className={`chart-control-btn ${oscillators[oscillator.id] ? 'active' : ''}`}
+              onClick={() => setOscillators(prev => ({ ...prev, [oscillator.id]: !prev[oscillator.id] }))}
+              title={focusedToken ? `${oscillator.title} for ${focusedToken.symbol}` : oscillator.title}
+            >
+              {oscillator.label}
+            </button>
+          ))}
+        </div>
+        <div className="chart-control-group">
+          <button
+            className={`chart-control-btn ${showVolume ? 'active' : ''}`}
+            onClick={() => setShowVolume(!showVolume)}
+            title="Volume pane (per candle, USD)"
+          >
+            vol
+          </button>
+          <button
+            className={`chart-control-btn ${showLiquidity ? 'active' : ''}`}
+            onClick={() => setShowLiquidity(!showLiquidity)}
+            title="Pool liquidity pane (where providers report it)"
+          >
+            liq
+          </button>
+        </div>
+        <div className="chart-control-group">
+          <button
+            className={`chart-control-btn chart-live-btn ${isLive ? 'active' : ''}`}
+            onClick={onLiveToggle}
+            title="Poll current market caps from DexScreener"
+          >
+            live
+          </button>
         </div>
+        <div className="chart-control-group">
+          <button
+            className={`chart-control-btn ${valueField === 'y' ? 'active' : ''}`}
+            onClick={() => setValueField('y')}
+            title="Market cap (circulating supply)"
+          >
+            mcap
+          </button>
+          <button
+            className={`chart-control-btn ${valueField === 'fdv' ? 'active' : ''}`}
+            onClick={() => setValueField('fdv')}
+            title="Fully diluted valuation (total supply)"
+          >
+            fdv
+          </button>
+        </div>
+        <select
+          className="chart-focus-select"
+          value={benchmarkSymbol ? benchmarkId : ''}
+          onChange={e => onBenchmarkChange(e.target.value || null)}
+          title="Plot every token as a ratio to a benchmark's market cap"
+        >
+          <option value="">vs USD</option>
+          <optgroup label="Tokens">
+            {enabledTokens.map(t => (
+              <option key={t.id} value={t.id}>vs {t.symbol}</option>
+            ))}
+          </optgroup>
+          <optgroup label="Built-in">
+            {BENCHMARK_TOKENS.map(t => (
+              <option key={t.id} value={t.id}>vs {t.symbol}</option>
+            ))}
+          </optgroup>
+        </select>
+        {benchmarkSymbol && !benchmarkPoints && (
+          <span className="chart-badge">
+            {benchmark ? `no data for ${benchmarkSymbol}` : `loading ${benchmarkSymbol}…`}
+          </span>
+        )}
+        {zoomResolution && (
+          <span className="chart-badge" title="Zoomed in - finer candles for the visible window">
+            {zoomResolution.id}
+          </span>
+        )}
         <div className="chart-control-group">
           {TIME_RANGES.map(range => (
             <button
               key={range.label}
               className={`chart-control-btn ${selectedRange === range.days ? 'active' : ''}`}
-              onClick={() => onRangeChange(range.days)}
+              onClick={() => {
+                setIsPickingRange(false);
+                onRangeChange(range.days);
+              }}
             >
               {range.label}
             </button>
           ))}
+          <button
+            className={`chart-control-btn ${isCustomRange(selectedRange) ? 'active' : ''}`}
+            onClick={() => setIsPickingRange(!isPickingRange)}
+            title="Pick a from/to date range"
+          >
+            {isCustomRange(selectedRange) ? formatRangeLabel(selectedRange) : 'custom'}
+          </button>
+        </div>
+        {isPickingRange && (
+          <form className="chart-range-picker" onSubmit={handleCustomRange}>
+            <input
+              type="date"
+              className="chart-focus-select"
+              value={customFrom}
+              max={customTo}
+              onChange={(e) => setCustomFrom(e.target.value)}
+              aria-label="From"
+            />
+            <span>–</span>
+            <input
+              type="date"
+              className="chart-focus-select"
+              value={customTo}
+              min={customFrom}
+              max={toDateInput(Date.now())}
+              onChange={(e) => setCustomTo(e.target.value)}
+              aria-label="To"
+            />
+            <button type="submit" className="btn-small" disabled={!customFrom || !customTo || customFrom > customTo}>
+              apply
+            </button>
+          </form>
+        )}
+        <div className="chart-control-group">
+          <button
+            className="chart-control-btn"
+            onClick={handleExport}
+            disabled={plottedTokens.length === 0}
+            title="Download the chart as a PNG"
+          >
+            png
+          </button>
         </div>
       </div>
       <div className="chart-container" style={{ position: 'relative' }}>
-        <div className="axis-label axis-label-y">Market Cap</div>
+        <div className="axis-label axis-label-y">
+          {scaleMode === 'percent' ? 'Change' : benchmarkPoints ? `Ratio to ${benchmark.symbol}` : valueField === 'fdv' ? 'FDV' : 'Market Cap'}
+        </div>
         <div className="axis-label axis-label-x">Date</div>
         <div ref={chartContainerRef} style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0 }} />
         <div
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { getProviders, getProvider } from '../api/providers';
+
+// Describe one provider attempt for a token, e.g. "GeckoTerminal: unavailable (rate limited)"
+function describeAttempt(attempt) {
+  const name = getProvider(attempt.id)?.name || attempt.id;
+  if (attempt.status === 'ok') return `${name}: ${attempt.points} points`;
+  if (attempt.status === 'not_found') return `${name}: not found`;
+  if (attempt.status === 'unavailable') return `${name}: unavailable (${attempt.error})`;
+  return `${name}: ${attempt.error}`;
+}
+
+export default function Diagnostics({ providerStats, queueDepth, tokens }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const providers = getProviders();
+  const failedTokens = tokens.filter(t => t.enabled && !t.data?.length && t.providersTried?.length);
+  const totalFailures = Object.values(providerStats).reduce((sum, s) => sum + s.failures, 0);
+
+  return (
+    <div className={`diagnostics ${isExpanded ? 'expanded' : 'collapsed'}`}>
+      <div className="diagnostics-header" onClick={() => setIsExpanded(!isExpanded)}>
+        <span className="token-expand-icon">{isExpanded ? '▼' : '▶'}</span>
+        <span className="token-count">Diagnostics</span>
+        {totalFailures > 0 && (
+          <span className="diagnostics-badge">{totalFailures} failed</span>
+        )}
+      </div>
+
+      {isExpanded && (
+        <div className="diagnostics-body">
+          <table className="diagnostics-table">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                <th>Req</th>
+                <th>OK</th>
+                <th>Fail</th>
+                <th>429</th>
+                <th>Avg</th>
+                <th>Queue</th>
+                <th>Cooldown</th>
+              </tr>
+            </thead>
+            <tbody>
+              {providers.map(provider => {
+                const stats = providerStats[provider.id];
+                return (
+                  <tr key={provider.id} title={stats?.lastError ? `Last error: ${stats.lastError}` : undefined}>
+                    <td>{provider.name}</td>
+                    <td>{stats?.requests || 0}</td>
+                    <td>{stats?.successes || 0}</td>
+                    <td className={stats?.failures ? 'diagnostics-bad' : ''}>{stats?.failures || 0}</td>
+                    <td className={stats?.rateLimited ? 'diagnostics-bad' : ''}>{stats?.rateLimited || 0}</td>
+                    <td>{stats?.requests ? `${stats.avgLatency}ms` : '–'}</td>
+                    <td>{queueDepth[provider.id] || 0}</td>
+                    <td>{stats?.cooldownRemaining ? `${stats.cooldownRemaining}s` : '–'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {providers.some(p => providerStats[p.id]?.lastError) && (
+            <div className="diagnostics-section">
+              <div className="diagnostics-title">Last errors</div>
+              {providers
+                .filter(p => providerStats[p.id]?.lastError)
+                .map(p => (
+                  <div key={p.id} className="diagnostics-line">
+                    {p.name}: {providerStats[p.id].lastError}
+                  </div>
+                ))}
+            </div>
+          )}
+
+          {failedTokens.length > 0 && (
+            <div className="diagnostics-section">
+              <div className="diagnostics-title">Tokens without data</div>
+              {failedTokens.map(token => (
+                <div key={token.id} className="diagnostics-line">
+                  <strong>{token.symbol}</strong>
+                  {token.errorKind === 'not_found' ? 'not found anywhere: ' : ''}
+                  {token.providersTried.map(describeAttempt).join(' → ')}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
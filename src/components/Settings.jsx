@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { getProviders, getDefaultProviderOrder } from '../api/providers';
+import { getKeyedProviders, isProxied } from '../api/endpoints';
+import { LIVE_INTERVALS } from '../api/live';
+import { getChainAbbrev } from '../data/chains';
+
+const GLOBAL_SCOPE = '__global__';
+
+const POOL_COUNTS = [1, 3, 5];
+
+const POOL_WEIGHTINGS = [
+  { id: 'liquidity', name: 'By liquidity' },
+  { id: 'volume', name: 'By volume' }
+];
+
+export default function Settings({ isOpen, onClose, settings, onChange, tokens, apiKeys, onApiKeysChange }) {
+  const [scope, setScope] = useState(GLOBAL_SCOPE);
+
+  if (!isOpen) return null;
+
+  const providers = getProviders();
+  const globalOrder = settings.providerOrder || getDefaultProviderOrder();
+  const tokenOrder = scope !== GLOBAL_SCOPE ? settings.tokenProviderOrder?.[scope] : null;
+  const order = tokenOrder || globalOrder;
+  const disabled = providers.filter(p => !order.includes(p.id));
+
+  const updateOrder = (newOrder) => {
+    if (scope === GLOBAL_SCOPE) {
+      onChange({ ...settings, providerOrder: newOrder });
+    } else {
+      onChange({
+        ...settings,
+        tokenProviderOrder: { ...settings.tokenProviderOrder, [scope]: newOrder }
+      });
+    }
+  };
+
+  const handleMove = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= order.length) return;
+    const newOrder = [...order];
+    [newOrder[index], newOrder[target]] = [newOrder[target], newOrder[index]];
+    updateOrder(newOrder);
+  };
+
+  const handleResetToken = () => {
+    const { [scope]: _removed, ...rest } = settings.tokenProviderOrder || {};
+    onChange({ ...settings, tokenProviderOrder: rest });
+  };
+
+  const handleResetGlobal = () => {
+    onChange({ ...settings, providerOrder: null });
+  };
+
+  const describe = (provider) => {
+    const { history, maxDays, rateLimit } = provider.capabilities;
+    const parts = [history ? (maxDays ? `${maxDays}d history` : 'full history') : 'current only'];
+    parts.push(rateLimit ? `${rateLimit.requestsPerMinute}/min` : 'no limit');
+    if (provider.needsProxy && !isProxied(provider.id)) parts.push('needs CORS proxy');
+    return parts.join(' · ');
+  };
+
+  const toggleProxied = (id) => {
+    const proxied = settings.proxiedProviders.includes(id)
+      ? settings.proxiedProviders.filter(p => p !== id)
+      : [...settings.proxiedProviders, id];
+    onChange({ ...settings, proxiedProviders: proxied });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Settings</h2>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="settings-form">
+            {/* Scope: global chain or a per-token override */}
+            <div className="form-group">
+              <label>Data Source Order</label>
+              <select
+                className="settings-select"
+                value={scope}
+                onChange={e => setScope(e.target.value)}
+              >
+                <option value={GLOBAL_SCOPE}>All tokens</option>
+                {tokens.map(t => (
+                  <option key={t.id} value={t.id}>
+                    {t.symbol} ({getChainAbbrev(t.platform)}){settings.tokenProviderOrder?.[t.id] ? ' *' : ''}
+                  </option>
+                ))}
+              </select>
+              {scope !== GLOBAL_SCOPE && !tokenOrder && (
+                <div className="settings-hint">Using the global order</div>
+              )}
+            </div>
+
+            <div className="provider-list">
+              {order.map((id, index) => {
+                const provider = providers.find(p => p.id === id);
+                if (!provider) return null;
+                return (
+                  <div key={id} className="provider-item">
+                    <span className="provider-rank">{index + 1}</span>
+                    <div className="provider-info">
+                      <span className="provider-name">{provider.name}</span>
+                      <span className="provider-caps">{describe(provider)}</span>
+                    </div>
+                    <div className="provider-actions">
+                      <button className="btn-small" onClick={() => handleMove(index, -1)} disabled={index === 0}>↑</button>
+                      <button className="btn-small" onClick={() => handleMove(index, 1)} disabled={index === order.length - 1}>↓</button>
+                      <button className="btn-small" onClick={() => updateOrder(order.filter(p => p !== id))}>Off</button>
+                    </div>
+                  </div>
+                );
+              })}
+              {disabled.map(provider => (
+                <div key={provider.id} className="provider-item disabled">
+                  <span className="provider-rank">–</span>
+                  <div className="provider-info">
+                    <span className="provider-name">{provider.name}</span>
+                    <span className="provider-caps">{describe(provider)}</span>
+                  </div>
+                  <div className="provider-actions">
+                    <button className="btn-small" onClick={() => updateOrder([...order, provider.id])}>On</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {scope === GLOBAL_SCOPE ? (
+              <button className="btn-secondary btn-full" onClick={handleResetGlobal}>
+                Reset to default order
+              </button>
+            ) : tokenOrder && (
+              <button className="btn-secondary btn-full" onClick={handleResetToken}>
+                Use global order for this token
+              </button>
+            )}
+
+            {/* GeckoTerminal multi-pool pricing */}
+            <div className="form-group">
+              <label>GeckoTerminal Pools</label>
+              <div className="platform-selector">
+                {POOL_COUNTS.map(count => (
+                  <button
+                    key={count}
+                    type="button"
+                    className={`platform-btn ${settings.geckoTerminalPools === count ? 'active' : ''}`}
+                    onClick={() => onChange({ ...settings, geckoTerminalPools: count })}
+                  >
+                    {count === 1 ? 'Top pool' : `Top ${count}`}
+                  </button>
+                ))}
+              </div>
+              {settings.geckoTerminalPools > 1 && (
+                <div className="platform-selector">
+                  {POOL_WEIGHTINGS.map(w => (
+                    <button
+                      key={w.id}
+                      type="button"
+                      className={`platform-btn ${settings.poolWeighting === w.id ? 'active' : ''}`}
+                      onClick={() => onChange({ ...settings, poolWeighting: w.id })}
+                    >
+                      {w.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="settings-hint">
+                Blends prices across DEX pools so one thin pool can't distort the chart
+              </div>
+            </div>
+
+            {/* Live mode polling */}
+            <div className="form-group">
+              <label>Live Update Interval</label>
+              <div className="platform-selector">
+                {LIVE_INTERVALS.map(seconds => (
+                  <button
+                    key={seconds}
+                    type="button"
+                    className={`platform-btn ${settings.liveIntervalSec === seconds ? 'active' : ''}`}
+                    onClick={() => onChange({ ...settings, liveIntervalSec: seconds })}
+                  >
+                    {seconds}s
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* API keys - sent as headers, stored apart from settings */}
+            {getKeyedProviders().map(keyed => (
+              <div key={keyed.id} className="form-group">
+                <label>{keyed.name} API Key</label>
+                <div className="settings-row">
+                  <select
+                    className="settings-select"
+                    value={settings.apiPlans[keyed.id] || keyed.plans[0]}
+                    onChange={e => onChange({ ...settings, apiPlans: { ...settings.apiPlans, [keyed.id]: e.target.value } })}
+                  >
+                    {keyed.plans.map(plan => (
+                      <option key={plan} value={plan}>{plan}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="password"
+                    className="settings-input"
+                    placeholder="Optional"
+                    autoComplete="off"
+                    value={apiKeys[keyed.id] || ''}
+                    onChange={e => onApiKeysChange({ ...apiKeys, [keyed.id]: e.target.value })}
+                  />
+                </div>
+              </div>
+            ))}
+
+            {/* CORS proxy */}
+            <div className="form-group">
+              <label>CORS Proxy</label>
+              <input
+                type="url"
+                className="settings-input"
+                placeholder="https://proxy.example/?url={url}"
+                value={settings.corsProxy}
+                onChange={e => onChange({ ...settings, corsProxy: e.target.value })}
+              />
+              {providers.map(provider => (
+                <label key={provider.id} className="settings-check">
+                  <input
+                    type="checkbox"
+                    checked={settings.proxiedProviders.includes(provider.id)}
+                    onChange={() => toggleProxied(provider.id)}
+                  />
+                  Route {provider.name} through the proxy
+                </label>
+              ))}
+              <div className="settings-hint">
+                A prefix, or a template with {'{url}'}. The proxy sees every request, including API key headers.
+              </div>
+            </div>
+
+            {/* Base URL overrides */}
+            <div className="form-group">
+              <label>API Base URLs</label>
+              {providers.map(provider => (
+                <input
+                  key={provider.id}
+                  type="url"
+                  className="settings-input"
+                  placeholder={provider.baseUrl}
+                  value={settings.baseUrls[provider.id] || ''}
+                  onChange={e => onChange({ ...settings, baseUrls: { ...settings.baseUrls, [provider.id]: e.target.value } })}
+                />
+              ))}
+              <div className="settings-hint">Leave empty to use the default</div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,23 @@
 import React, { useState } from 'react';
+import { getProvider } from '../api/providers';
+import { formatMarketCap } from '../data/mockData';
+import { getChain, getChainAbbrev, getExplorerUrl } from '../data/chains';
 
-// Platform abbreviations for display
-const PLATFORM_ABBREV = {
-  'ethereum': 'ETH',
-  'base': 'BASE',
-  'solana': 'SOL'
-};
+// Describe which providers were tried for a token, e.g. "GeckoTerminal ✗ → CoinGecko ✓"
+function describeProvidersTried(token) {
+  if (!token.providersTried?.length) return null;
+  return token.providersTried
+    .map(p => `${getProvider(p.id)?.name || p.id} ${p.status === 'ok' ? '✓' : '✗'}`)
+    .join(' → ');
+}
+
+// Describe the pools a token's price came from, e.g. "PEPE / WETH (uniswap_v2) $12.3M"
+function describePools(token) {
+  if (!token.pools?.length) return null;
+  return token.pools
+    .map(p => `${p.name || p.address}${p.dex ? ` (${p.dex})` : ''} ${formatMarketCap(p.liquidity)}`)
+    .join(', ');
+}
 
 export default function TokenList({ tokens, onToggle, onRemove }) {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -58,18 +70,24 @@ export default function TokenList({ tokens, onToggle, onRemove }) {
       </div>
       <div className="token-grid">
         {tokens.map(token => {
-          const platformLabel = PLATFORM_ABBREV[token.platform] || token.platform?.toUpperCase();
+          const platformLabel = getChainAbbrev(token.platform);
+          const explorerUrl = getExplorerUrl(token.platform, token.contract);
           const hasMergedVariants = token.isMerged && token.variants?.length > 1;
+          const triedLabel = describeProvidersTried(token);
+          const poolsLabel = describePools(token);
+          const titleLines = [
+            hasMergedVariants && `Best data from ${getChain(token.platform)?.name || token.platform} (${token.data?.length || 0} points)`,
+            triedLabel && `Sources: ${triedLabel}`,
+            poolsLabel && `Pools: ${poolsLabel}`,
+            token.estimated && 'Market cap estimated from FDV (circulating supply unknown)'
+          ].filter(Boolean);
 
           return (
             <div
               key={token.id}
               className={`token-item ${token.enabled ? 'enabled' : 'disabled'}`}
               onClick={() => onToggle(token.id)}
-              title={hasMergedVariants
-                ? `Best data from ${token.platform} (${token.data?.length || 0} points)`
-                : undefined
-              }
+              title={titleLines.length > 0 ? titleLines.join('\n') : undefined}
             >
               <div
                 className="token-color"
@@ -79,6 +97,9 @@ export default function TokenList({ tokens, onToggle, onRemove }) {
               {hasMergedVariants && (
                 <span className="token-platform-badge">{platformLabel}</span>
               )}
+              {token.estimated && (
+                <span className="token-estimated-badge">est.</span>
+              )}
               <div className="token-actions">
                 {token.contract && (
                   <button
@@ -89,6 +110,18 @@ export default function TokenList({ tokens, onToggle, onRemove }) {
                     {copiedId === token.id ? '✓' : '⧉'}
                   </button>
                 )}
+                {explorerUrl && (
+                  <a
+                    className="btn-copy"
+                    href={explorerUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={e => e.stopPropagation()}
+                    title="View on block explorer"
+                  >
+                    ↗
+                  </a>
+                )}
                 {token.isCustom && (
                   <button
                     className="btn-remove"
@@ -0,0 +1,124 @@
+// Chain registry - the one place that knows about supported networks
+// Tokens store the chain `id` as their `platform`. Each chain lists its
+// network ID on every provider (missing = provider doesn't cover it),
+// its address format and block explorer.
+
+// Address formats, used to validate contracts before any request
+const ADDRESS_FORMATS = {
+  evm: /^0x[0-9a-fA-F]{40}$/,
+  solana: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+};
+
+export const CHAINS = [
+  {
+    id: 'ethereum',
+    name: 'Ethereum',
+    abbrev: 'ETH',
+    networks: { geckoterminal: 'eth', coingecko: 'ethereum', dexscreener: 'ethereum', dexpaprika: 'ethereum' },
+    addressFormat: 'evm',
+    explorer: 'https://etherscan.io/token/'
+  },
+  {
+    id: 'base',
+    name: 'Base',
+    abbrev: 'BASE',
+    networks: { geckoterminal: 'base', coingecko: 'base', dexscreener: 'base', dexpaprika: 'base' },
+    addressFormat: 'evm',
+    explorer: 'https://basescan.org/token/'
+  },
+  {
+    id: 'solana',
+    name: 'Solana',
+    abbrev: 'SOL',
+    networks: { geckoterminal: 'solana', coingecko: 'solana', dexscreener: 'solana', dexpaprika: 'solana' },
+    addressFormat: 'solana',
+    explorer: 'https://solscan.io/token/'
+  },
+  {
+    id: 'arbitrum',
+    name: 'Arbitrum',
+    abbrev: 'ARB',
+    networks: { geckoterminal: 'arbitrum', coingecko: 'arbitrum-one', dexscreener: 'arbitrum', dexpaprika: 'arbitrum' },
+    addressFormat: 'evm',
+    explorer: 'https://arbiscan.io/token/'
+  },
+  {
+    id: 'bsc',
+    name: 'BNB Chain',
+    abbrev: 'BNB',
+    networks: { geckoterminal: 'bsc', coingecko: 'binance-smart-chain', dexscreener: 'bsc', dexpaprika: 'bsc' },
+    addressFormat: 'evm',
+    explorer: 'https://bscscan.com/token/'
+  },
+  {
+    id: 'polygon',
+    name: 'Polygon',
+    abbrev: 'POL',
+    networks: { geckoterminal: 'polygon_pos', coingecko: 'polygon-pos', dexscreener: 'polygon', dexpaprika: 'polygon' },
+    addressFormat: 'evm',
+    explorer: 'https://polygonscan.com/token/'
+  },
+  {
+    id: 'avalanche',
+    name: 'Avalanche',
+    abbrev: 'AVAX',
+    networks: { geckoterminal: 'avax', coingecko: 'avalanche', dexscreener: 'avalanche', dexpaprika: 'avalanche' },
+    addressFormat: 'evm',
+    explorer: 'https://snowtrace.io/token/'
+  },
+  {
+    id: 'blast',
+    name: 'Blast',
+    abbrev: 'BLAST',
+    networks: { geckoterminal: 'blast', coingecko: 'blast', dexscreener: 'blast' },
+    addressFormat: 'evm',
+    explorer: 'https://blastscan.io/token/'
+  }
+];
+
+const chainsById = new Map(CHAINS.map(chain => [chain.id, chain]));
+
+/**
+ * Get a chain by ID (a token's `platform`)
+ */
+export function getChain(id) {
+  return chainsById.get(id) || null;
+}
+
+/**
+ * Get a provider's network ID for a chain
+ * @returns {string|null} - null if the provider doesn't cover the chain
+ */
+export function getNetworkId(chainId, providerId) {
+  return getChain(chainId)?.networks[providerId] || null;
+}
+
+/**
+ * IDs of the chains a provider covers (for its registered capabilities)
+ */
+export function getChainsForProvider(providerId) {
+  return CHAINS.filter(chain => chain.networks[providerId]).map(chain => chain.id);
+}
+
+/**
+ * Short label for a chain, e.g. 'ETH'
+ */
+export function getChainAbbrev(chainId) {
+  return getChain(chainId)?.abbrev || chainId?.toUpperCase();
+}
+
+/**
+ * Check a contract address against the chain's address format
+ */
+export function isValidAddress(chainId, address) {
+  const format = ADDRESS_FORMATS[getChain(chainId)?.addressFormat];
+  return format ? format.test(address) : true;
+}
+
+/**
+ * Block explorer page for a token contract
+ */
+export function getExplorerUrl(chainId, address) {
+  const explorer = getChain(chainId)?.explorer;
+  return explorer && address ? `${explorer}${address}` : null;
+}
@@ -1,21 +1,71 @@
 // Time constants and utility functions for chart data
 
+// A range is a number of days, 'ytd', 'max', or a custom { from, to }
+// window (ms) picked in the chart controls
 export const TIME_RANGES = [
   { label: '1d', days: 1 },
   { label: '7d', days: 7 },
   { label: '30d', days: 30 },
+  { label: '90d', days: 90 },
+  { label: '180d', days: 180 },
+  { label: '1y', days: 365 },
+  { label: 'ytd', days: 'ytd' },
   { label: 'max', days: 'max' }
 ];
 
 const DAY = 24 * 60 * 60 * 1000;
 
+function startOfYear() {
+  return new Date(new Date().getFullYear(), 0, 1).getTime();
+}
+
+/**
+ * Check whether a range is a custom { from, to } window
+ */
+export function isCustomRange(range) {
+  return typeof range === 'object' && range !== null;
+}
+
+/**
+ * Days of history a range needs, counted back from now
+ * @returns {number|string} - Whole days, or 'max'
+ */
+export function getRangeDays(range) {
+  if (range === null || range === 'max') return 'max';
+  const from = range === 'ytd' ? startOfYear() : isCustomRange(range) ? range.from : null;
+  if (from === null) return range;
+  return Math.max(1, Math.ceil((Date.now() - from) / DAY));
+}
+
+/**
+ * Time window a range shows
+ * @returns {Object|null} - { from, to } in ms (to null = now), null for max
+ */
+export function getRangeWindow(range) {
+  if (range === null || range === 'max') return null;
+  if (range === 'ytd') return { from: startOfYear(), to: null };
+  if (isCustomRange(range)) return range;
+  return { from: Date.now() - range * DAY, to: null };
+}
+
+/**
+ * Whether data fetched for one range already covers another
+ */
+export function rangeCovers(fetched, range) {
+  if (fetched === null) return false;
+  const fetchedDays = getRangeDays(fetched);
+  const days = getRangeDays(range);
+  if (fetchedDays === 'max') return true;
+  return days !== 'max' && fetchedDays >= days;
+}
+
 // Filter data by time range
-export function filterDataByRange(data, days) {
+export function filterDataByRange(data, range) {
   if (!data || data.length === 0) return [];
-  if (days === null || days === 'max') return data;
+  const window = getRangeWindow(range);
+  if (!window) return data;
 
-  const cutoff = Date.now() - (days * DAY);
-  return data.filter(point => point.x >= cutoff);
+  return data.filter(point => point.x >= window.from && (window.to === null || point.x <= window.to));
 }
 
 // Format market cap for display (handles all sizes)
@@ -48,6 +98,26 @@ export function formatAxisLabel(value) {
   return value.toFixed(0);
 }
 
+// Format a ratio to a benchmark, e.g. '2.35x' or '0.000123x'
+export function formatRatio(value) {
+  if (value === null || value === undefined) return '';
+  if (value >= 100) return `${value.toFixed(0)}x`;
+  if (value >= 1) return `${value.toFixed(2)}x`;
+  return `${value.toPrecision(3)}x`;
+}
+
+// Format a custom range for the chart controls, e.g. 'Mar 1 – Mar 5'
+// (dates outside the current year include it)
+export function formatRangeLabel(range) {
+  const thisYear = new Date().getFullYear();
+  const formatDate = ms => new Date(ms).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: new Date(ms).getFullYear() === thisYear ? undefined : 'numeric'
+  });
+  return `${formatDate(range.from)} – ${formatDate(range.to)}`;
+}
+
 // Generate placeholder data for tokens while loading
 export function generatePlaceholderData(days = 30) {
   const data = [];
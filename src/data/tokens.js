@@ -1,5 +1,5 @@
 // Token configuration with contract addresses
-// CoinGecko platform IDs: ethereum, base, solana
+// Platforms are chain IDs from chains.js (ethereum, base, solana, ...)
 // NOTE: Never use dark colors for token colors - they won't be visible on the black background
 
 export const WATCHED_TOKENS = {
@@ -218,6 +218,14 @@ export const WATCHED_TOKENS = {
   ]
 };
 
+// Built-in benchmarks for the chart's ratio mode
+// Fetched from CoinGecko by coin ID, so they need no chain or contract
+export const BENCHMARK_TOKENS = [
+  { id: 'benchmark-eth', symbol: 'ETH', name: 'Ethereum', coinGeckoId: 'ethereum', providerOrder: ['coingecko'] },
+  { id: 'benchmark-sol', symbol: 'SOL', name: 'Solana', coinGeckoId: 'solana', providerOrder: ['coingecko'] },
+  { id: 'benchmark-btc', symbol: 'BTC', name: 'Bitcoin', coinGeckoId: 'bitcoin', providerOrder: ['coingecko'] }
+];
+
 // Get all tokens as a flat array
 export function getAllTokens() {
   return [
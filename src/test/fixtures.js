@@ -0,0 +1,64 @@
+// Shared setup for tests that replay fixtures/*.json
+// The fixtures were recorded at NOW, so tests run on a fake clock set to
+// it; settle() moves that clock from timer to timer while a fetch waits on
+// rate limits, retries or slow responses.
+
+import { vi } from 'vitest';
+
+export const NOW = Date.UTC(2026, 9, 12, 12);
+export const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+
+function token(symbol, name, digit) {
+  return {
+    id: `test-${symbol.toLowerCase()}`,
+    symbol,
+    name,
+    platform: 'base',
+    contract: `0x${digit.repeat(40)}`,
+    color: '#22c55e',
+    enabled: true
+  };
+}
+
+// One token per fixture scenario
+export const TOKENS = {
+  // Top pool lists the token as base; a day of 15m candles
+  jbm: token('JBM', 'Jungle Bay Memes', '1'),
+  // Only pool lists the token as quote
+  quote: token('QTE', 'Quoted Token', '2'),
+  // Five-day-old pool; CoinGecko (found by symbol search) has 30 days
+  stitch: token('STCH', 'Stitched', '3'),
+  // GeckoTerminal token info: 429, then a 200 after 1.5s
+  rate: token('RATE', 'Rate Limited', '4'),
+  // No fixtures anywhere
+  gone: token('GONE', 'Gone', '5'),
+  // GeckoTerminal token info keeps answering 503
+  down: token('DOWN', 'Down', '6')
+};
+
+export const POOLS = {
+  jbm: `0x${'a'.repeat(40)}`,
+  quote: `0x${'c'.repeat(40)}`,
+  stitch: `0x${'d'.repeat(40)}`
+};
+
+/**
+ * Switch to a fake clock at the recording time
+ */
+export function useFixtureClock() {
+  vi.useFakeTimers({ now: NOW });
+}
+
+/**
+ * Await a fetch, advancing the fake clock until it settles
+ */
+export async function settle(promise) {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  for (let i = 0; !done; i++) {
+    if (i > 10000) throw new Error('Fetch did not settle');
+    await vi.advanceTimersToNextTimerAsync();
+  }
+  return promise;
+}
@@ -0,0 +1,13 @@
+// Test environment: browser storage the app expects, kept in memory
+// IndexedDB comes from fake-indexeddb; localStorage is a plain map.
+
+import 'fake-indexeddb/auto';
+
+const items = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: key => items.delete(key),
+  clear: () => items.clear()
+};
@@ -0,0 +1,99 @@
+// Conversions from stored {x: ms, y, o, h, l, v, liq, fdv} points to lightweight-charts data
+// Points carry the close as `y` and, where the provider had full candles,
+// open/high/low as `o`/`h`/`l` - all in market-cap terms. `v` is the
+// candle's USD volume and `liq` a pool liquidity snapshot (USD).
+
+// Scale a point's market-cap values to the plotted field (FDV shares the candle shape)
+function fieldScale(point, field) {
+  return field === 'y' ? 1 : point[field] / point.y;
+}
+
+/**
+ * Line data: {time: seconds, value}
+ * Points without the chosen field (e.g. no FDV known) are skipped
+ */
+export function toLineData(points, field = 'y') {
+  if (!points || points.length === 0) return [];
+  return points
+    .filter(point => point[field] > 0)
+    .map(point => ({
+      time: Math.floor(point.x / 1000),
+      value: point[field]
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Build one candle from a point
+ * Points without OHLC (close-only sources, live points) open at the
+ * previous close, so the body shows the move between the two.
+ */
+export function toCandle(point, field = 'y', previousClose = null) {
+  const scale = fieldScale(point, field);
+  const close = point.y * scale;
+  const open = point.o != null ? point.o * scale : previousClose ?? close;
+  return {
+    time: Math.floor(point.x / 1000),
+    open,
+    high: point.h != null ? point.h * scale : Math.max(open, close),
+    low: point.l != null ? point.l * scale : Math.min(open, close),
+    close
+  };
+}
+
+/**
+ * Candlestick data: {time: seconds, open, high, low, close}
+ */
+export function toCandleData(points, field = 'y') {
+  if (!points || points.length === 0) return [];
+
+  let previousClose = null;
+  return points
+    .filter(point => point[field] > 0)
+    .sort((a, b) => a.x - b.x)
+    .map(point => {
+      const candle = toCandle(point, field, previousClose);
+      previousClose = candle.close;
+      return candle;
+    });
+}
+
+/**
+ * Candles with their volume (0 when unknown), for volume-weighted indicators
+ */
+export function toCandleVolumeData(points, field = 'y') {
+  if (!points || points.length === 0) return [];
+  const volumes = new Map(points.map(point => [Math.floor(point.x / 1000), point.v]));
+  return toCandleData(points, field).map(candle => ({ ...candle, volume: volumes.get(candle.time) || 0 }));
+}
+
+/**
+ * Volume histogram data: {time: seconds, value, color?}
+ * With `colors` ({ up, down }) each bar takes its candle's direction
+ */
+export function toVolumeData(points, colors = null) {
+  if (!points || points.length === 0) return [];
+
+  let previousClose = null;
+  return points
+    .filter(point => point.y > 0)
+    .sort((a, b) => a.x - b.x)
+    .reduce((bars, point) => {
+      const candle = toCandle(point, 'y', previousClose);
+      previousClose = candle.close;
+      if (point.v > 0) {
+        const bar = { time: candle.time, value: point.v };
+        if (colors) bar.color = candle.close >= candle.open ? colors.up : colors.down;
+        bars.push(bar);
+      }
+      return bars;
+    }, []);
+}
+
+/**
+ * Liquidity line data: {time: seconds, value}
+ * Only points with a liquidity snapshot are included
+ */
+export function toLiquidityData(points) {
+  return toLineData(points, 'liq');
+}
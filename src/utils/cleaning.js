@@ -0,0 +1,105 @@
+// Outlier cleaning for fetched series
+// Thin pools print single-candle spikes (a close or wick at 50x and straight
+// back) that wreck the chart's auto scale. Each point is compared with the
+// closes around it; implausible closes are replaced by the neighbours'
+// median. A wick is only clipped to the candle body when it's far past both
+// the body and the candles on either side - a lone print, not a real pump
+// or dump that the neighbouring candles share.
+// Adjusted points keep their original values in `raw` and are flagged with
+// `adjusted` ('spike' or 'wick'), so the chart can show either version.
+
+// Closes compared on each side of a point
+const NEIGHBOURS = 3;
+
+// How far (x) a value may sit from its neighbours before it's treated as bad
+const SPIKE_RATIO = 5;
+// Pools under this liquidity (USD) are easy to push around, so they get a
+// tighter limit
+const THIN_LIQUIDITY = 50000;
+const THIN_SPIKE_RATIO = 3;
+
+// Fields that hold values in market-cap terms
+const VALUE_FIELDS = ['y', 'o', 'h', 'l', 'fdv'];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Ratio between two positive values, always >= 1
+function distance(a, b) {
+  return a > b ? a / b : b / a;
+}
+
+// A candle's high or low, or its close for close-only points
+function extreme(point, field) {
+  const value = point?.[field] ?? point?.y;
+  return value > 0 ? value : null;
+}
+
+/**
+ * Flag and suppress implausible spikes in a series
+ * A close only counts as a spike when it's far from the closes on both
+ * sides, so a real breakout at the end of the series is left alone.
+ * @param {Array} points - Sorted {x, y, o?, h?, l?, fdv?} points
+ * @param {Object} options
+ * @param {number} options.liquidity - Pool liquidity (USD), if known
+ * @returns {Array} - Points with adjusted ones replaced (input isn't modified)
+ */
+export function cleanSeries(points, { liquidity } = {}) {
+  if (!points || points.length < 3) return points || [];
+
+  const limit = liquidity > 0 && liquidity < THIN_LIQUIDITY ? THIN_SPIKE_RATIO : SPIKE_RATIO;
+  const closes = points.map(point => point.y);
+
+  return points.map((point, i) => {
+    const before = closes.slice(Math.max(0, i - NEIGHBOURS), i).filter(v => v > 0);
+    const after = closes.slice(i + 1, i + 1 + NEIGHBOURS).filter(v => v > 0);
+    if (!(point.y > 0) || before.length === 0 || after.length === 0) return point;
+
+    const cleaned = { ...point };
+    let adjusted = null;
+
+    const reference = median([...before, ...after]);
+    if (distance(point.y, median(before)) > limit && distance(point.y, median(after)) > limit) {
+      cleaned.y = Math.round(reference);
+      if (point.fdv) cleaned.fdv = Math.round(point.fdv * reference / point.y);
+      if (point.o != null && distance(point.o, reference) > limit) cleaned.o = cleaned.y;
+      adjusted = 'spike';
+    }
+
+    // Wicks are clipped to the body when they reach past the limit from
+    // the body and from the previous and next candles (a spike candle's
+    // wicks are never trusted)
+    if (point.o != null) {
+      const bodyHigh = Math.max(cleaned.o, cleaned.y);
+      const bodyLow = Math.min(cleaned.o, cleaned.y);
+      const highs = [extreme(points[i - 1], 'h'), extreme(points[i + 1], 'h')];
+      const lows = [extreme(points[i - 1], 'l'), extreme(points[i + 1], 'l')];
+      const loneHigh = highs.every(high => high && point.h > high * limit);
+      const loneLow = lows.every(low => low && point.l < low / limit);
+      if (adjusted || (point.h > bodyHigh * limit && loneHigh)) cleaned.h = bodyHigh;
+      if (adjusted || (point.l < bodyLow / limit && loneLow)) cleaned.l = bodyLow;
+      if (!adjusted && (cleaned.h !== point.h || cleaned.l !== point.l)) {
+        adjusted = 'wick';
+      }
+    }
+
+    if (!adjusted) return point;
+
+    cleaned.adjusted = adjusted;
+    cleaned.raw = {};
+    VALUE_FIELDS.forEach(field => {
+      if (point[field] != null) cleaned.raw[field] = point[field];
+    });
+    return cleaned;
+  });
+}
+
+/**
+ * Undo cleaning for display - the point as the provider reported it
+ */
+export function toRawPoint(point) {
+  return point.raw ? { ...point, ...point.raw } : point;
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { cleanSeries } from './cleaning';
+
+const HOUR = 60 * 60 * 1000;
+
+// Flat candles around 100, with `candles` replacing the ones at their index
+function series(candles) {
+  return Array.from({ length: 7 }, (_, i) => ({
+    x: i * HOUR,
+    o: 100,
+    y: 101,
+    h: 104,
+    l: 98,
+    ...candles[i]
+  }));
+}
+
+describe('cleanSeries', () => {
+  it('keeps a real wick the neighbouring candles share', () => {
+    // A pump to 5.6x the body, with the candles either side trading up too
+    const points = series({
+      2: { h: 180 },
+      3: { o: 100, y: 110, h: 616 },
+      4: { o: 110, y: 130, h: 260 }
+    });
+    const cleaned = cleanSeries(points, { liquidity: 200000 });
+
+    expect(cleaned[3]).toBe(points[3]);
+    expect(cleaned.some(point => point.adjusted)).toBe(false);
+  });
+
+  it('clips an isolated wick to the body', () => {
+    const points = series({ 3: { h: 5000, l: 2 } });
+    const cleaned = cleanSeries(points, { liquidity: 200000 });
+
+    expect(cleaned[3]).toMatchObject({ h: 101, l: 100, adjusted: 'wick', raw: { h: 5000, l: 2 } });
+    expect(cleaned.filter(point => point.adjusted)).toHaveLength(1);
+  });
+
+  it('uses the tighter limit on thin pools', () => {
+    const points = series({ 3: { h: 400 } });
+
+    expect(cleanSeries(points, { liquidity: 200000 })[3].adjusted).toBeUndefined();
+    expect(cleanSeries(points, { liquidity: 20000 })[3]).toMatchObject({ h: 101, adjusted: 'wick' });
+  });
+
+  it('replaces a spike close with the neighbours\' median', () => {
+    const points = series({ 3: { y: 5000, h: 5000 } });
+    const cleaned = cleanSeries(points);
+
+    expect(cleaned[3]).toMatchObject({ y: 101, o: 100, h: 101, l: 100, adjusted: 'spike', raw: { y: 5000 } });
+  });
+});
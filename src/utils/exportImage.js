@@ -0,0 +1,152 @@
+// PNG export of the chart
+// The chart canvas (from lightweight-charts' takeScreenshot) only holds the
+// series and axes - the tooltip and controls are DOM. The export frames it
+// with a header (logo, title, range and scale details, timestamp) and a
+// legend of token colours and current values, drawn at the screenshot's
+// pixel ratio so text stays as sharp as the chart.
+
+const COLORS = {
+  background: '#111111',
+  border: '#262626',
+  text: '#f5f5f5',
+  muted: '#737373'
+};
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+// Layout in CSS pixels
+const PADDING = 16;
+const HEADER_HEIGHT = 56;
+const LOGO_SIZE = 32;
+const LEGEND_ROW = 22;
+const LEGEND_GAP = 20;
+const SWATCH = 8;
+
+/**
+ * Load an image for drawing onto a canvas
+ * @returns {Promise<HTMLImageElement|null>} - null if it fails to load
+ */
+function loadImage(src) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => {
+      console.warn(`Export: could not load ${src}`);
+      resolve(null);
+    };
+    image.src = src;
+  });
+}
+
+// Split legend items into rows that fit the width
+function layoutLegend(ctx, items, width) {
+  const rows = [];
+  let row = [];
+  let x = PADDING;
+  items.forEach(item => {
+    const itemWidth = SWATCH + 6 + ctx.measureText(item.label).width;
+    if (row.length > 0 && x + itemWidth > width - PADDING) {
+      rows.push(row);
+      row = [];
+      x = PADDING;
+    }
+    row.push({ ...item, x });
+    x += itemWidth + LEGEND_GAP;
+  });
+  if (row.length > 0) rows.push(row);
+  return rows;
+}
+
+/**
+ * Frame a chart screenshot with header, legend and timestamp
+ * @param {HTMLCanvasElement} screenshot - From chart.takeScreenshot()
+ * @param {Object} options
+ * @param {number} options.width - Chart width in CSS pixels (sets the ratio)
+ * @param {string} options.title
+ * @param {string} options.details - e.g. '30d · log scale'
+ * @param {Array} options.legend - { color, label }
+ * @param {string} options.logoSrc
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function composeChartImage(screenshot, { width, title, details, legend, logoSrc }) {
+  const ratio = screenshot.width / width;
+  const chartHeight = screenshot.height / ratio;
+  const logo = logoSrc ? await loadImage(logoSrc) : null;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = `13px ${FONT}`;
+  const legendRows = layoutLegend(ctx, legend, width);
+  const legendHeight = legendRows.length > 0 ? legendRows.length * LEGEND_ROW + PADDING : 0;
+  const height = HEADER_HEIGHT + chartHeight + legendHeight;
+
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  ctx.scale(ratio, ratio);
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Header: logo and title on the left, timestamp on the right
+  const logoTop = (HEADER_HEIGHT - LOGO_SIZE) / 2;
+  let textLeft = PADDING;
+  if (logo) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(PADDING + LOGO_SIZE / 2, logoTop + LOGO_SIZE / 2, LOGO_SIZE / 2, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(logo, PADDING, logoTop, LOGO_SIZE, LOGO_SIZE);
+    ctx.restore();
+    textLeft += LOGO_SIZE + 10;
+  }
+
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = COLORS.text;
+  ctx.font = `600 15px ${FONT}`;
+  ctx.fillText(title, textLeft, 25);
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = `12px ${FONT}`;
+  ctx.fillText(details, textLeft, 43);
+  ctx.textAlign = 'right';
+  ctx.fillText(new Date().toLocaleString('en-US'), width - PADDING, 25);
+  ctx.textAlign = 'left';
+
+  ctx.fillStyle = COLORS.border;
+  ctx.fillRect(0, HEADER_HEIGHT - 1, width, 1);
+
+  ctx.drawImage(screenshot, 0, HEADER_HEIGHT, width, chartHeight);
+
+  // Legend under the chart
+  ctx.font = `13px ${FONT}`;
+  ctx.textBaseline = 'middle';
+  legendRows.forEach((row, i) => {
+    const y = HEADER_HEIGHT + chartHeight + PADDING / 2 + i * LEGEND_ROW + LEGEND_ROW / 2;
+    row.forEach(item => {
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.arc(item.x + SWATCH / 2, y, SWATCH / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = COLORS.text;
+      ctx.fillText(item.label, item.x + SWATCH + 6, y);
+    });
+  });
+
+  return canvas;
+}
+
+/**
+ * Save a canvas as a PNG download
+ */
+export function downloadCanvas(canvas, fileName) {
+  canvas.toBlob(blob => {
+    if (!blob) {
+      console.error('Export: could not encode the chart image');
+      return;
+    }
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, 'image/png');
+}
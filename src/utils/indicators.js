@@ -0,0 +1,117 @@
+// Technical indicators for chart overlays and oscillator panes
+// Inputs are lightweight-charts line data ({time, value}, sorted); outputs
+// are line data too, starting once enough points exist for the period.
+
+/**
+ * Simple moving average
+ */
+export function sma(data, period) {
+  const result = [];
+  let sum = 0;
+  data.forEach((item, i) => {
+    sum += item.value;
+    if (i >= period) sum -= data[i - period].value;
+    if (i >= period - 1) result.push({ time: item.time, value: sum / period });
+  });
+  return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period
+ */
+export function ema(data, period) {
+  const k = 2 / (period + 1);
+  const result = [];
+  let previous = null;
+  data.forEach((item, i) => {
+    if (i < period - 1) return;
+    previous = previous === null
+      ? data.slice(0, period).reduce((sum, d) => sum + d.value, 0) / period
+      : item.value * k + previous * (1 - k);
+    result.push({ time: item.time, value: previous });
+  });
+  return result;
+}
+
+/**
+ * Bollinger Bands - SMA +/- a multiple of the standard deviation
+ * @returns {Object} - { middle, upper, lower }
+ */
+export function bollinger(data, period = 20, multiplier = 2) {
+  const middle = sma(data, period);
+  const upper = [];
+  const lower = [];
+  middle.forEach((mean, j) => {
+    const window = data.slice(j, j + period);
+    const variance = window.reduce((sum, d) => sum + (d.value - mean.value) ** 2, 0) / period;
+    const spread = Math.sqrt(variance) * multiplier;
+    upper.push({ time: mean.time, value: mean.value + spread });
+    lower.push({ time: mean.time, value: mean.value - spread });
+  });
+  return { middle, upper, lower };
+}
+
+/**
+ * Volume-weighted average price, anchored at the first bar
+ * Bars without volume don't move it.
+ * @param {Array} bars - {time, high, low, close, volume}
+ * @returns {Array} - Empty when no bar has volume
+ */
+export function vwap(bars) {
+  const result = [];
+  let weighted = 0;
+  let volume = 0;
+  bars.forEach(bar => {
+    if (bar.volume > 0) {
+      weighted += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+      volume += bar.volume;
+    }
+    if (volume > 0) result.push({ time: bar.time, value: weighted / volume });
+  });
+  return result;
+}
+
+/**
+ * Relative Strength Index (Wilder's smoothing), 0-100
+ */
+export function rsi(data, period = 14) {
+  const result = [];
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i < data.length; i++) {
+    const change = data[i].value - data[i - 1].value;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) continue;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+
+    const value = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    result.push({ time: data[i].time, value });
+  }
+  return result;
+}
+
+/**
+ * MACD - fast EMA minus slow EMA, its signal EMA and the difference
+ * @returns {Object} - { macd, signal, histogram }
+ */
+export function macd(data, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastByTime = new Map(ema(data, fast).map(item => [item.time, item.value]));
+  const line = ema(data, slow).map(item => ({
+    time: item.time,
+    value: fastByTime.get(item.time) - item.value
+  }));
+  const signal = ema(line, signalPeriod);
+  const signalByTime = new Map(signal.map(item => [item.time, item.value]));
+  const histogram = line
+    .filter(item => signalByTime.has(item.time))
+    .map(item => ({ time: item.time, value: item.value - signalByTime.get(item.time) }));
+  return { macd: line, signal, histogram };
+}
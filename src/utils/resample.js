@@ -0,0 +1,151 @@
+// Resampling onto a shared time grid
+// Providers return candles at their own resolution (15m, 1h, 4h, daily or
+// CoinGecko's auto granularity), so at a given time only some tokens have a
+// point. This aligns every series onto one grid at the selected range's
+// resolution (see resolution.js) so they can be compared slot by slot.
+// A slot takes the last point before its end (forward fill). Slots without
+// a point of their own are `filled`; once a series has gone more than
+// GAP_SLOTS slots without a point, its slots are also marked as a `gap`.
+// Lookups at a time inside a slot (getEntryAt) only see points at or before
+// that time, so a point later in the slot never shows early.
+
+import { getResolution } from '../api/resolution';
+
+// Consecutive filled slots before a series counts as having a gap (thin
+// pools skip candles with no trades, so short runs are normal)
+const GAP_SLOTS = 6;
+
+/**
+ * Build the grid covering a set of series
+ * @param {Array} seriesList - Sorted point arrays
+ * @param {number|string} days - Selected range (picks the grid step)
+ * @returns {Object} - { step: ms, times: [ms] } slot start times
+ */
+export function buildGrid(seriesList, days) {
+  const step = getResolution(days).ms;
+  let start = Infinity;
+  let end = -Infinity;
+
+  seriesList.forEach(points => {
+    if (!points || points.length === 0) return;
+    start = Math.min(start, points[0].x);
+    end = Math.max(end, points[points.length - 1].x);
+  });
+
+  const times = [];
+  if (Number.isFinite(start)) {
+    for (let t = Math.floor(start / step) * step; t <= end; t += step) {
+      times.push(t);
+    }
+  }
+  return { step, times };
+}
+
+/**
+ * Resample one series onto a grid
+ * @param {Array} points - Sorted {x, ...} points
+ * @param {Object} grid - From buildGrid
+ * @returns {Array} - One entry per slot: null before the series starts,
+ *   otherwise { x: slot time, point, filled, gap, run } (run = filled
+ *   slots in a row so far)
+ */
+export function resampleSeries(points, grid) {
+  const entries = [];
+  let next = 0;
+  let last = null;
+  let filledRun = 0;
+
+  grid.times.forEach(time => {
+    const slotEnd = time + grid.step;
+    let hasOwnPoint = false;
+    while (next < points.length && points[next].x < slotEnd) {
+      last = points[next];
+      next++;
+      hasOwnPoint = true;
+    }
+
+    if (!last) {
+      entries.push(null);
+      return;
+    }
+
+    filledRun = hasOwnPoint ? 0 : filledRun + 1;
+    entries.push({ x: time, point: last, filled: !hasOwnPoint, gap: filledRun > GAP_SLOTS, run: filledRun });
+  });
+
+  return entries;
+}
+
+/**
+ * Align several series onto one grid
+ * @param {Object} seriesById - { [id]: sorted points }
+ * @param {number|string} days - Selected range
+ * @returns {Object} - { grid, series: { [id]: entries from resampleSeries },
+ *   points: seriesById }
+ */
+export function alignSeries(seriesById, days) {
+  const grid = buildGrid(Object.values(seriesById), days);
+  const series = {};
+  Object.entries(seriesById).forEach(([id, points]) => {
+    series[id] = resampleSeries(points || [], grid);
+  });
+  return { grid, series, points: seriesById };
+}
+
+/**
+ * Last point at or before a time
+ * @param {Array} points - Sorted {x, ...} points
+ * @param {number} x - Time in ms
+ * @returns {Object|null}
+ */
+export function pointAt(points, x) {
+  if (!points || points.length === 0 || points[0].x > x) return null;
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (points[mid].x <= x) low = mid;
+    else high = mid - 1;
+  }
+  return points[low];
+}
+
+/**
+ * A series' aligned value at a time
+ * Like the slot's entry, but only from points at or before x.
+ * @param {Object} aligned - From alignSeries
+ * @param {string} id
+ * @param {number} x - Time in ms
+ * @returns {Object|null} - { x: slot time, point, filled, gap }
+ */
+export function getEntryAt(aligned, id, x) {
+  const slot = getSlotIndex(aligned.grid, x);
+  const entries = aligned.series[id];
+  const point = pointAt(aligned.points[id], x);
+  if (slot < 0 || !entries || !point) return null;
+
+  const time = aligned.grid.times[slot];
+  if (point.x >= time) return { x: time, point, filled: false, gap: false, run: 0 };
+  // Nothing yet in this slot: filled on from the slot before
+  const previous = entries[slot - 1];
+  const run = previous?.filled ? previous.run + 1 : 1;
+  return { x: time, point, filled: true, gap: run > GAP_SLOTS, run };
+}
+
+/**
+ * Last entry of a series on the grid - every series' value as of the
+ * grid's last slot, forward-filled if it has no point there
+ */
+export function getLatestEntry(aligned, id) {
+  const entries = aligned?.series[id];
+  return entries?.[entries.length - 1] || null;
+}
+
+/**
+ * Index of the slot holding a time (-1 before the grid; times after the
+ * grid map to the last slot, i.e. are forward-filled)
+ */
+export function getSlotIndex(grid, x) {
+  if (grid.times.length === 0 || x < grid.times[0]) return -1;
+  return Math.min(Math.floor((x - grid.times[0]) / grid.step), grid.times.length - 1);
+}
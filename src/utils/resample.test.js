@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { alignSeries, getEntryAt, getLatestEntry, pointAt } from './resample';
+import { ratioSeries } from './series';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2026, 0, 1);
+
+describe('grid lookups', () => {
+  // One point a day at 20:00 on a daily ('max') grid
+  const evening = [0, 1, 2].map(day => ({ x: START + day * DAY + 20 * HOUR, y: 100 + day }));
+
+  it('only sees points at or before the hovered time', () => {
+    const aligned = alignSeries({ A: evening }, 'max');
+
+    // The slot for day 1 holds its 20:00 point, but at 06:00 that is
+    // still in the future - the value is day 0's
+    expect(aligned.series.A[1].point.y).toBe(101);
+    const morning = getEntryAt(aligned, 'A', START + DAY + 6 * HOUR);
+    expect(morning.point.y).toBe(100);
+    expect(morning.filled).toBe(true);
+
+    const night = getEntryAt(aligned, 'A', START + DAY + 21 * HOUR);
+    expect(night.point.y).toBe(101);
+    expect(night.filled).toBe(false);
+
+    expect(getEntryAt(aligned, 'A', START + 6 * HOUR)).toBeNull();
+  });
+
+  it('flags long runs without points as gaps', () => {
+    const sparse = [{ x: START, y: 1 }, { x: START + 10 * DAY, y: 2 }];
+    const aligned = alignSeries({ A: sparse }, 'max');
+
+    expect(aligned.series.A.map(entry => entry.gap)).toEqual(
+      [false, false, false, false, false, false, false, true, true, true, false]
+    );
+    expect(getEntryAt(aligned, 'A', START + 7 * DAY).gap).toBe(true);
+    expect(getEntryAt(aligned, 'A', START + 6 * DAY).gap).toBe(false);
+  });
+
+  it('reads every series at the grid\'s last slot', () => {
+    const quiet = [{ x: START, y: 5 }];
+    const aligned = alignSeries({ A: evening, B: quiet }, 'max');
+
+    expect(getLatestEntry(aligned, 'A').point.y).toBe(102);
+    expect(getLatestEntry(aligned, 'B')).toMatchObject({ x: START + 2 * DAY, point: { y: 5 }, filled: true });
+    expect(getLatestEntry(aligned, 'C')).toBeNull();
+  });
+
+  it('finds the last point at or before a time', () => {
+    expect(pointAt(evening, START)).toBeNull();
+    expect(pointAt(evening, evening[1].x).y).toBe(101);
+    expect(pointAt(evening, evening[1].x - 1).y).toBe(100);
+    expect(pointAt(evening, START + 10 * DAY).y).toBe(102);
+  });
+});
+
+describe('ratioSeries', () => {
+  it('divides by the benchmark value forward-filled to each point', () => {
+    const points = [0, 6, 12, 18].map(hour => ({ x: START + hour * HOUR, y: 100 }));
+    const benchmark = [{ x: START + 5 * HOUR, y: 50 }, { x: START + 12 * HOUR, y: 200 }];
+
+    expect(ratioSeries(points, benchmark).map(point => [point.y, point.benchmark])).toEqual([
+      [2, 50],
+      [0.5, 200],
+      [0.5, 200]
+    ]);
+  });
+});
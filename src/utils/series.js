@@ -0,0 +1,111 @@
+// Time-series helpers for {x: ms, y: value} point arrays
+
+import { pointAt } from './resample';
+import { DAY } from '../api/resolution';
+
+// Most points a stored series keeps - current-only providers add a point
+// on every fetch, and zoom series a window at a time
+const MAX_STORED_POINTS = 5000;
+
+/**
+ * Merge new points into an existing series
+ * Points at the same timestamp are replaced by the incoming ones
+ * (the latest candle is usually still open and gets revised).
+ * @param {Array} existing - Stored points (may be empty/null)
+ * @param {Array} incoming - Freshly fetched points
+ * @returns {Array} - Chronologically sorted, deduplicated points
+ */
+export function mergeSeries(existing, incoming) {
+  if (!existing || existing.length === 0) return incoming || [];
+  if (!incoming || incoming.length === 0) return existing;
+
+  const byTime = new Map(existing.map(point => [point.x, point]));
+  incoming.forEach(point => byTime.set(point.x, point));
+
+  return [...byTime.values()].sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Bound a series before it's stored
+ * @param {Array} points - Sorted points
+ * @param {number|null} retainDays - Drop points older than this (null = keep
+ *   every age, see RESOLUTIONS)
+ * @returns {Array} - The remaining points, newest MAX_STORED_POINTS at most
+ */
+export function pruneSeries(points, retainDays = null) {
+  const cutoff = retainDays ? Date.now() - retainDays * DAY : -Infinity;
+  const kept = (points || []).filter(point => point.x >= cutoff);
+  return kept.length > MAX_STORED_POINTS ? kept.slice(-MAX_STORED_POINTS) : kept;
+}
+
+/**
+ * Swap a window of a series for finer points
+ * Points inside the window's time span are replaced by the window's points.
+ * @param {Array} points - Sorted points
+ * @param {Array} windowPoints - Sorted points covering one time span
+ * @returns {Array} - Chronologically sorted points
+ */
+export function replaceWindow(points, windowPoints) {
+  if (!windowPoints || windowPoints.length === 0) return points || [];
+  const start = windowPoints[0].x;
+  const end = windowPoints[windowPoints.length - 1].x;
+  const before = (points || []).filter(point => point.x < start);
+  const after = (points || []).filter(point => point.x > end);
+  return [...before, ...windowPoints, ...after];
+}
+
+/**
+ * Divide a series by a benchmark series, matched by timestamp
+ * Each point is divided by the benchmark's value at its time, forward
+ * filled the same way as the chart's grid (pointAt in resample.js), so
+ * series at different resolutions line up. Points before the benchmark
+ * starts are dropped.
+ * @param {Array} points - Sorted points
+ * @param {Array} benchmark - Sorted benchmark points (market cap as `y`)
+ * @returns {Array} - Points with y/o/h/l/fdv as ratios, and the benchmark
+ *   value used as `benchmark`
+ */
+export function ratioSeries(points, benchmark) {
+  if (!points || !benchmark || benchmark.length === 0) return [];
+
+  const ratios = [];
+  points.forEach(point => {
+    const base = pointAt(benchmark, point.x)?.y;
+    if (!(base > 0)) return;
+
+    const ratio = { ...point, benchmark: base };
+    ['y', 'o', 'h', 'l', 'fdv'].forEach(field => {
+      if (point[field] != null) ratio[field] = point[field] / base;
+    });
+    ratios.push(ratio);
+  });
+  return ratios;
+}
+
+/**
+ * Stitch series from several providers into one
+ * Series are given in priority order. A lower-priority series only
+ * contributes points outside the time spans already covered by
+ * higher-priority ones, and every point records where it came from.
+ * @param {Array} seriesList - [{ source, data }] in priority order
+ * @returns {Array} - Sorted points with a `source` field
+ */
+export function stitchSeries(seriesList) {
+  const stitched = [];
+  const covered = [];
+
+  seriesList.forEach(({ source, data }) => {
+    if (!data || data.length === 0) return;
+
+    data.forEach(point => {
+      const overlaps = covered.some(([start, end]) => point.x >= start && point.x <= end);
+      if (!overlaps) {
+        stitched.push({ ...point, source });
+      }
+    });
+
+    covered.push([data[0].x, data[data.length - 1].x]);
+  });
+
+  return stitched.sort((a, b) => a.x - b.x);
+}
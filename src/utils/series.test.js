@@ -0,0 +1,27 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { pruneSeries } from './series';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 12, 12);
+
+describe('pruneSeries', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('drops points older than the retention', () => {
+    vi.useFakeTimers({ now: NOW });
+    const points = Array.from({ length: 48 }, (_, i) => ({ x: NOW - (47 - i) * HOUR, y: i }));
+
+    const kept = pruneSeries(points, 1);
+    expect(kept).toHaveLength(25);
+    expect(kept[0].x).toBe(NOW - 24 * HOUR);
+    expect(pruneSeries(points, null)).toHaveLength(48);
+  });
+
+  it('keeps the newest points of an unbounded series', () => {
+    const points = Array.from({ length: 6000 }, (_, i) => ({ x: i * HOUR, y: i }));
+
+    const kept = pruneSeries(points);
+    expect(kept).toHaveLength(5000);
+    expect(kept[kept.length - 1]).toBe(points[5999]);
+  });
+});
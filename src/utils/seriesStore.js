@@ -0,0 +1,100 @@
+// On-device time-series store (IndexedDB)
+// Keeps each token's series keyed by token, provider and resolution so the
+// app can render from disk on load and only fetch candles it doesn't have.
+
+const DB_NAME = 'casavarse';
+// v2: series computed with a guessed supply were dropped
+// v3: close-only series were dropped so history is refetched with full candles
+// v4: CoinGecko series picked by symbol (not contract) were dropped
+const DB_VERSION = 4;
+const SERIES_STORE = 'series';
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (db.objectStoreNames.contains(SERIES_STORE)) {
+        db.deleteObjectStore(SERIES_STORE);
+      }
+      db.createObjectStore(SERIES_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Don't cache a failed open - let the next call try again
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+// Wrap a single-store transaction in a promise
+async function withStore(mode, callback) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SERIES_STORE, mode);
+    const request = callback(tx.objectStore(SERIES_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Build the store key for a series
+ */
+export function seriesKey(tokenId, providerId, resolutionId) {
+  return `${tokenId}|${providerId}|${resolutionId}`;
+}
+
+/**
+ * Get a stored series record
+ * @returns {Object|null} - { key, data, meta, updatedAt } or null
+ */
+export async function getStoredSeries(key) {
+  try {
+    return (await withStore('readonly', store => store.get(key))) || null;
+  } catch (e) {
+    console.warn('Failed to read stored series:', e);
+    return null;
+  }
+}
+
+/**
+ * Save a series record
+ * @param {string} key - From seriesKey()
+ * @param {Array} data - {x, y} points
+ * @param {Object} meta - Provider details needed for incremental fetches
+ */
+export async function putStoredSeries(key, data, meta = {}) {
+  try {
+    await withStore('readwrite', store =>
+      store.put({ key, data, meta, updatedAt: Date.now() })
+    );
+  } catch (e) {
+    console.warn('Failed to save series:', e);
+  }
+}
+
+/**
+ * Remove every stored series
+ */
+export async function clearSeriesStore() {
+  try {
+    await withStore('readwrite', store => store.clear());
+  } catch (e) {
+    console.warn('Failed to clear series store:', e);
+  }
+}
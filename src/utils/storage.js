@@ -1,4 +1,28 @@
 const STORAGE_KEY = 'casavarse_tokens_v5'; // v5: GeckoTerminal API
+const SETTINGS_KEY = 'casavarse_settings_v1';
+// API keys are stored apart from settings so nothing that serialises
+// settings or tokens can pick them up
+const API_KEYS_KEY = 'casavarse_api_keys_v1';
+
+// Defaults for app-wide settings (null provider order = registry default)
+export const DEFAULT_SETTINGS = {
+  providerOrder: null,
+  tokenProviderOrder: {},
+  // GeckoTerminal: price from the top N pools, weighted by 'liquidity' or 'volume'
+  geckoTerminalPools: 1,
+  poolWeighting: 'liquidity',
+  // Live mode: seconds between DexScreener polls
+  liveIntervalSec: 15,
+  // Endpoints: base URL overrides and API plans by provider ID, and a CORS
+  // proxy used for the providers listed in proxiedProviders
+  baseUrls: {},
+  apiPlans: {},
+  corsProxy: '',
+  proxiedProviders: []
+};
+
+let settingsCache = null;
+let apiKeysCache = null;
 
 // Get saved token preferences from localStorage
 export function getSavedTokens() {
@@ -46,6 +70,60 @@ export function mergeTokenPreferences(tokens, savedPrefs) {
   });
 }
 
+// Get app settings from localStorage (cached in memory after first read)
+export function getSettings() {
+  if (settingsCache) return settingsCache;
+
+  settingsCache = { ...DEFAULT_SETTINGS };
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    if (saved) {
+      settingsCache = { ...DEFAULT_SETTINGS, ...JSON.parse(saved) };
+    }
+  } catch (e) {
+    console.warn('Failed to load settings:', e);
+  }
+  return settingsCache;
+}
+
+// Save app settings to localStorage
+export function saveSettings(settings) {
+  settingsCache = { ...DEFAULT_SETTINGS, ...settings };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settingsCache));
+  } catch (e) {
+    console.warn('Failed to save settings:', e);
+  }
+}
+
+// Get API keys by provider ID (cached in memory after first read)
+export function getApiKeys() {
+  if (apiKeysCache) return apiKeysCache;
+
+  apiKeysCache = {};
+  try {
+    const saved = localStorage.getItem(API_KEYS_KEY);
+    if (saved) {
+      apiKeysCache = JSON.parse(saved);
+    }
+  } catch (e) {
+    console.warn('Failed to load API keys:', e);
+  }
+  return apiKeysCache;
+}
+
+// Save API keys to localStorage (empty keys are dropped)
+export function saveApiKeys(keys) {
+  apiKeysCache = Object.fromEntries(
+    Object.entries(keys).filter(([, key]) => key?.trim()).map(([id, key]) => [id, key.trim()])
+  );
+  try {
+    localStorage.setItem(API_KEYS_KEY, JSON.stringify(apiKeysCache));
+  } catch (e) {
+    console.warn('Failed to save API keys:', e);
+  }
+}
+
 // Generate a random color for custom tokens
 export function generateRandomColor() {
   const colors = [
@@ -1,7 +1,44 @@
+import fs from 'node:fs'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Dev-server endpoint that saves API responses recorded by src/api/transport.js
+// (VITE_API_FIXTURES=record) into fixtures/<provider>.json, keyed by fixtureKey()
+function fixtureRecorder() {
+  return {
+    name: 'fixture-recorder',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__fixtures', (req, res) => {
+        let raw = ''
+        req.on('data', chunk => { raw += chunk })
+        req.on('end', () => {
+          try {
+            const { name, url, fixture } = JSON.parse(raw)
+            const file = path.resolve('fixtures', `${path.basename(name)}.json`)
+            const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+            fixtures[url] = fixture
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            fs.writeFileSync(file, JSON.stringify(fixtures, null, 2) + '\n')
+            res.statusCode = 204
+          } catch (error) {
+            server.config.logger.warn(`fixture-recorder: ${error.message}`)
+            res.statusCode = 400
+          }
+          res.end()
+        })
+      })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
-  base: '/jungle-bay-island-memetic-bungalows/'
+  plugins: [react(), fixtureRecorder()],
+  base: '/jungle-bay-island-memetic-bungalows/',
+  // Tests replay fixtures/*.json instead of calling the live APIs
+  test: {
+    env: { VITE_API_FIXTURES: 'replay' },
+    setupFiles: ['./src/test/setup.js']
+  }
 })